@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const {reapOrphans} = require('../dist/index.js');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const tmpDirArg = args.find(arg => arg.startsWith('--tmp-dir='));
+const tmpDir = tmpDirArg ? tmpDirArg.slice('--tmp-dir='.length) : undefined;
+
+reapOrphans({dryRun, tmpDir}).then(orphans => {
+  for (const orphan of orphans) {
+    const action = dryRun ? 'would remove' : (orphan.removed ? 'removed' : 'failed to remove');
+    const state = orphan.running ? `brave ${orphan.pid} running` : `brave ${orphan.pid} gone`;
+    console.log(`${action} ${orphan.userDataDir} (${state})`);
+  }
+  if (!orphans.length) {
+    console.log('No orphaned profiles found.');
+  }
+  if (orphans.some(orphan => !dryRun && !orphan.removed)) {
+    process.exit(1);
+  }
+}).catch(err => {
+  console.error('ERROR:', err.message);
+  process.exit(1);
+});
@@ -7,16 +7,41 @@
 
 import * as childProcess from 'child_process';
 import * as fs from 'fs';
-import * as net from 'net';
+import {EventEmitter} from 'events';
 import * as braveFinder from './brave-finder.js';
 import {getRandomPort} from './random-port.js';
 import {DEFAULT_FLAGS} from './flags.js';
-import {makeTmpDir, defaults, delay, getPlatform, toWin32Path, InvalidUserDataDirectoryError, UnsupportedPlatformError, BraveNotInstalledError, XvfbManager, XvfbOptions, detectDesktopEnvironment} from './utils.js';
+import {makeTmpDir, copyProfileDirSync, defaults, delay, waitForProcessGroupExit, getPlatform, getListeningExecutable, getBraveVersion, toWin32Path, InvalidUserDataDirectoryError, UnsupportedPlatformError, BraveNotInstalledError} from './utils.js';
+import {DisplayLease, VirtualDisplay, XvfbOptions, acquireDisplay, stopSharedDisplays} from './virtual-display.js';
+import {WaylandDisplay, WaylandOptions, detectDisplayServers, ozoneFlags} from './wayland.js';
+import {EnvironmentReport, MIN_SHM_SIZE, detectEnvironment} from './environment.js';
 import {ChildProcess} from 'child_process';
 import {spawn, spawnSync} from 'child_process';
 import log from './logger.js';
+import {LauncherError, ErrorCategory, categorizeError, getRecoveryStrategy, createRetriesExhaustedError, createLaunchFailedError, createLaunchTimeoutError, createInvalidConfigError, createInvalidFlagsError, createNoBrowserAtPortError, createPortAllocationError, createPortInUseError, createProcessCrashedError} from './errors.js';
+import {ProfileLock, ProfileManager} from './profiles.js';
+import {JSONLike, PrefPath, mergePrefs, updatePrefsFile} from './prefs.js';
+import {BraveSettings, TranslatedBraveSettings, translateBraveSettings} from './brave-settings.js';
+import {Preset, PresetSpec, resolvePreset} from './presets.js';
+import {FlagSet, findFlagProblems} from './flag-set.js';
+import {BrowserVersionInfo, CDPConnection, CDPSession, RemoteDebuggingPipes, getBrowserVersion} from './cdp.js';
 
 const isWsl = getPlatform() === 'wsl';
+
+const IDENTIFY_TIMEOUT = 5000;
+
+function createRestartAbandonedError() {
+  return createLaunchFailedError(new Error('restart was abandoned by kill() or close()'));
+}
+
+// Brave reports Chrome's product token in /json/version, so adopted browsers
+// are told apart by their executable instead.
+function isBraveExecutable(file: string, bravePath?: string) {
+  if (bravePath && file === bravePath) {
+    return true;
+  }
+  return /brave/i.test(file.split(/[\\/]/).pop()!);
+}
 const isWindows = getPlatform() === 'win32';
 const _SIGINT = 'SIGINT';
 const _SIGINT_EXIT_CODE = 130;
@@ -26,49 +51,267 @@ type SupportedPlatforms = 'darwin'|'linux'|'win32'|'wsl';
 
 const instances = new Set<Launcher>();
 
-type JSONLike =|{[property: string]: JSONLike}|readonly JSONLike[]|string|number|boolean|null;
+// How often brave-err.log is checked for new lines while `stderr-line` is observed.
+const STDERR_TAIL_INTERVAL = 200;
+
+export type ReadinessMode = 'poll'|'devtools-active-port'|'stderr';
+
+interface DevToolsEndpoint {
+  port: number;
+  browserPath: string;
+}
+
+/**
+ * Opt-in policy for `launch()` to retry recoverable failures. Before each new
+ * attempt the recovery strategy of the failure is applied: a new port for
+ * `retry_with_different_port`, a fresh temp profile for `relaunch_browser`
+ * and a new Xvfb server for `restart_xvfb`.
+ */
+export interface RetryOptions {
+  /** Total number of attempts, including the first one. Default: 3. */
+  attempts?: number;
+  /** Delay before the second attempt in ms. Default: 500. */
+  initialDelay?: number;
+  /** Multiplier applied to the delay after each attempt. Default: 2. */
+  backoffFactor?: number;
+  /** Upper bound for the delay in ms. Default: 10000. */
+  maxDelay?: number;
+  /** Categories to retry. Default: every category whose errors are recoverable. */
+  categories?: ErrorCategory[];
+}
+
+/**
+ * Opt-in policy for restarting Brave when it crashes after launch. The
+ * restarted browser keeps the flags, the `userDataDir` and a fixed `port`.
+ */
+export interface SuperviseOptions {
+  /** Restarts allowed before giving up. Default: 5. */
+  maxRestarts?: number;
+  /** Delay before the first restart in ms. Default: 1000. */
+  initialDelay?: number;
+  /** Multiplier applied to the delay after each restart. Default: 2. */
+  backoffFactor?: number;
+  /** Upper bound for the delay in ms. Default: 30000. */
+  maxDelay?: number;
+  /** A browser that stayed up this long in ms gets the full budget back. Default: 60000. */
+  resetAfter?: number;
+}
 
 export interface Options {
   startingUrl?: string;
   braveFlags?: Array<string>;
+  /** Deep-merged into `<profileDirectory>/Preferences`; arrays replace. */
   prefs?: Record<string, JSONLike>;
+  /** Prefs to delete from Preferences before `prefs` is merged in, see PrefPath. */
+  removePrefs?: PrefPath[];
+  /**
+   * Deep-merged into the top-level `Local State` file, which holds browser-wide
+   * settings such as `browser.enabled_labs_experiments`.
+   */
+  localState?: Record<string, JSONLike>;
+  /** Keys to delete from Local State before `localState` is merged in. */
+  removeLocalState?: PrefPath[];
+  /**
+   * Profile inside the user data dir to launch and write `prefs` to, passed
+   * as `--profile-directory`. Default: `Default`.
+   */
+  profileDirectory?: string;
+  /**
+   * Typed Brave settings (Shields, cookies, search engine, which of Wallet,
+   * Rewards, News, VPN and Leo are on, ...), applied through Preferences,
+   * Local State and feature flags. Values in `prefs` and `localState` win.
+   */
+  braveSettings?: BraveSettings;
+  /**
+   * Flags, braveSettings and launchMode for a common use case, see
+   * `resolvePreset()`. Anything set explicitly takes precedence.
+   */
+  preset?: PresetSpec;
   port?: number;
   portStrictMode?: boolean;
   handleSIGINT?: boolean;
   bravePath?: string;
   userDataDir?: string|boolean;
+  /**
+   * Name of a persistent profile under `profilesRoot`, created on first use
+   * and locked while the browser runs. Can't be combined with `userDataDir`.
+   */
+  profile?: string;
+  /** Directory of the named profiles. Default: $BRAVE_PROFILES_DIR or ~/.brave-real-launcher/profiles. */
+  profilesRoot?: string;
+  /**
+   * User data dir to seed each temp profile from, without its locks, crash
+   * dumps and caches. Can't be combined with `userDataDir` or `profile`.
+   */
+  profileTemplate?: string;
   logLevel?: 'verbose'|'info'|'error'|'warn'|'silent';
+  /** Leave out all of `DEFAULT_FLAGS`; see `removeFlags` to leave out only some. */
   ignoreDefaultFlags?: boolean;
+  /** Switches to drop from the final flags, e.g. `['--disable-extensions']`. */
+  removeFlags?: string[];
+  /**
+   * Features to drop from `--enable-features`/`--disable-features`, e.g.
+   * `['BraveWallet']` to stop disabling Wallet.
+   */
+  removeFeatures?: string[];
+  /**
+   * Throw INVALID_FLAGS for malformed, repeated or contradicting `braveFlags`
+   * and for switches the launcher sets itself, instead of logging a warning.
+   */
+  strictFlags?: boolean;
   connectionPollInterval?: number;
   maxConnectionRetries?: number;
+  /**
+   * How to tell when DevTools is up. `poll` (default) queries `/json/version`
+   * every `connectionPollInterval`ms. `devtools-active-port` watches
+   * `<userDataDir>/DevToolsActivePort` and `stderr` watches brave-err.log for
+   * the "DevTools listening on" line. Both discovery modes let Brave pick its
+   * own port with `--remote-debugging-port=0` unless `port` is set.
+   */
+  readinessMode?: ReadinessMode;
   envVars?: {[key: string]: string|undefined};
+  /** Retry recoverable launch failures, see RetryOptions. */
+  retry?: boolean|RetryOptions;
+  /** Restart Brave when it crashes after launch, see SuperviseOptions. */
+  supervise?: boolean|SuperviseOptions;
   // Brave-specific options
-  launchMode?: 'auto' | 'headless' | 'gui';
+  /** How to show Brave, see LaunchMode. Default: 'auto'. */
+  launchMode?: LaunchMode;
   xvfbOptions?: XvfbOptions;
   enableXvfb?: boolean;
+  /** Compositor settings for launchMode 'wayland-gui'. */
+  waylandOptions?: WaylandOptions;
 }
 
-export interface RemoteDebuggingPipes {
-  incoming: NodeJS.ReadableStream, outgoing: NodeJS.WritableStream,
-}
+export {RemoteDebuggingPipes};
+
+/**
+ * `headless` passes a bare `--headless`, which is new headless since
+ * Chromium 132. `headless-new` and `headless-old` pick one explicitly; old
+ * headless only exists in builds before 132. `xvfb-gui` runs the full
+ * browser UI on a virtual display and `wayland-gui` on a headless Wayland
+ * compositor, both Linux only. `auto` chooses `headless` when $HEADLESS is
+ * set and `gui` outside Linux. On Linux without a display it chooses
+ * `xvfb-gui` if Xvfb is installed, else `wayland-gui` if weston or cage is,
+ * else `headless`; with a display, `headless` on CI and `gui` otherwise. It
+ * also adds the flags the environment needs, see detectEnvironment().
+ */
+export type LaunchMode = 'auto'|EffectiveLaunchMode;
 
+export type EffectiveLaunchMode =
+    'headless'|'headless-new'|'headless-old'|'gui'|'xvfb-gui'|'wayland-gui';
+
+const HEADLESS_FLAGS: {[mode in EffectiveLaunchMode]?: string} = {
+  'headless': '--headless',
+  'headless-new': '--headless=new',
+  'headless-old': '--headless=old',
+};
+
+/**
+ * Handle to a launched browser. With `supervise`, `pid`, `port`, `process`
+ * and the connection details follow the browser across restarts.
+ */
 export interface LaunchedBrave {
   pid: number;
   port: number;
   process: ChildProcess;
   remoteDebuggingPipes: RemoteDebuggingPipes|null;
-  kill: () => void;
-  xvfbManager?: XvfbManager;
+  /**
+   * Parsed `/json/version` of the browser. `null` when launched with
+   * `--remote-debugging-pipe`, as there is no HTTP endpoint to query.
+   */
+  version: BrowserVersionInfo|null;
+  /** Browser-level `ws://` DevTools endpoint, `null` when using a pipe. */
+  browserWSEndpoint: string|null;
+  /** The shell-quoted command line Brave was started with. */
+  commandLine: string;
+  /** The mode Brave was launched in, with `auto` resolved. */
+  launchMode: EffectiveLaunchMode;
+  /**
+   * Opens (or reuses) a CDP connection over the debugging port or pipe and
+   * returns the browser-level session.
+   */
+  connect: () => Promise<CDPSession>;
+  /**
+   * Kills the Brave process tree. Resolves once it is gone and the temp
+   * directory has been cleaned up.
+   */
+  kill: () => Promise<KillResult>;
+  /**
+   * Closes Brave gracefully so it can flush its profile, see
+   * `Launcher.close()`. Resolves once the process has exited and the temp
+   * directory has been removed.
+   */
+  close: (options?: CloseOptions) => Promise<KillResult>;
+  /**
+   * Subscribe to the launcher's lifecycle events. Events emitted before
+   * `launch()` resolves (`spawn`, `ready`, ...) are only observable on a
+   * `Launcher` instance created directly.
+   */
+  on: <E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>) => LaunchedBrave;
+  once: <E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>) => LaunchedBrave;
+  off: <E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>) => LaunchedBrave;
+  xvfbManager?: VirtualDisplay;
 }
 
+/** How a Brave process ended, as reported by `kill()` and `close()`. */
+export interface KillResult {
+  /** Exit code, `null` if killed by a signal or if no process was launched. */
+  exitCode: number|null;
+  signal: NodeJS.Signals|null;
+  /** Whether the temp userDataDir created by the launcher was removed. */
+  tmpDirRemoved: boolean;
+}
+
+export interface CloseOptions {
+  /**
+   * How long to wait for Brave to exit after `Browser.close` and again after
+   * SIGTERM before escalating. Default: 5000ms.
+   */
+  timeout?: number;
+}
+
+/** Payloads of the events emitted by `Launcher`, keyed by event name. */
+export interface LauncherEvents {
+  /** Xvfb is up and Brave will be started on `display`. */
+  'xvfb-started': {display: string};
+  /** The headless Wayland compositor is up and Brave will use its socket `display`. */
+  'wayland-started': {display: string};
+  /** The Brave process was started. `port` is 0 until a discovery mode reads it back. */
+  'spawn': {pid: number, executablePath: string, flags: string[], port: number};
+  /** One readiness check; `error` tells why Brave is not reachable yet. */
+  'readiness-poll': {attempt: number, mode: ReadinessMode, ready: boolean, error?: string};
+  /** DevTools is reachable. `launchTime` is the ms since `launch()` was called. */
+  'ready': {pid: number, port: number, browserWSEndpoint: string|null, launchTime: number};
+  /** The Brave process exited, for whatever reason. */
+  'exit': {pid: number, exitCode: number|null, signal: NodeJS.Signals|null};
+  /** Brave exited after it was ready without `kill()` or `close()` being called. */
+  'crash': {pid: number, exitCode: number|null, signal: NodeJS.Signals|null, stderr: string};
+  /** A line Brave wrote to stderr (brave-err.log). */
+  'stderr-line': string;
+  /** `kill()` or `close()` finished releasing the process, Xvfb and temp profile. */
+  'cleanup': KillResult;
+  /** `supervise` brought Brave back after a crash; `reason` is the crash. */
+  'restarted': {
+    pid: number,
+    previousPid: number,
+    restarts: number,
+    reason: {exitCode: number|null, signal: NodeJS.Signals|null, stderr: string},
+  };
+  /** `supervise` ran out of restarts; `error` is why the last one failed. */
+  'restart-failed': {restarts: number, error: LauncherError};
+}
+
+export type LauncherEventListener<E extends keyof LauncherEvents> =
+    (payload: LauncherEvents[E]) => void;
+
 export interface ModuleOverrides {
   fs?: typeof fs;
   spawn?: typeof childProcess.spawn;
 }
 
 const sigintListener = () => {
-  killAll();
-  process.exit(_SIGINT_EXIT_CODE);
+  killAll().then(() => process.exit(_SIGINT_EXIT_CODE));
 };
 
 async function launch(opts: Options = {}): Promise<LaunchedBrave> {
@@ -82,24 +325,81 @@ async function launch(opts: Options = {}): Promise<LaunchedBrave> {
   }
   instances.add(instance);
 
-  await instance.launch();
+  try {
+    await instance.launch();
+  } catch (err) {
+    // Don't leave the process, temp profile or Xvfb of a failed launch behind.
+    instances.delete(instance);
+    if (instances.size === 0) {
+      process.removeListener(_SIGINT, sigintListener);
+    }
+    await instance.kill().catch(() => {});
+    throw err;
+  }
 
-  const kill = () => {
+  const unregister = () => {
     instances.delete(instance);
     if (instances.size === 0) {
       process.removeListener(_SIGINT, sigintListener);
     }
-    instance.kill();
   };
 
-  return {
-    pid: instance.pid!,
-    port: instance.port!,
-    process: instance.braveProcess!,
-    remoteDebuggingPipes: instance.remoteDebuggingPipes,
-    xvfbManager: instance.xvfbManager,
+  const kill = () => {
+    unregister();
+    return instance.kill();
+  };
+
+  const close = (options?: CloseOptions) => {
+    unregister();
+    return instance.close(options);
+  };
+
+  // Getters, so a supervised restart is visible to whoever holds the handle.
+  const handle: LaunchedBrave = {
+    get pid() {
+      return instance.pid!;
+    },
+    get port() {
+      return instance.port!;
+    },
+    get process() {
+      return instance.braveProcess!;
+    },
+    get remoteDebuggingPipes() {
+      return instance.remoteDebuggingPipes;
+    },
+    get version() {
+      return instance.version;
+    },
+    get browserWSEndpoint() {
+      return instance.browserWSEndpoint;
+    },
+    get commandLine() {
+      return instance.commandLine;
+    },
+    get launchMode() {
+      return instance.effectiveLaunchMode;
+    },
+    get xvfbManager() {
+      return instance.xvfbManager;
+    },
+    connect: () => instance.connect(),
     kill,
+    close,
+    on: (event, listener) => {
+      instance.on(event, listener);
+      return handle;
+    },
+    once: (event, listener) => {
+      instance.once(event, listener);
+      return handle;
+    },
+    off: (event, listener) => {
+      instance.off(event, listener);
+      return handle;
+    },
   };
+  return handle;
 }
 
 /** Returns Brave installation path that brave-launcher will launch by default. */
@@ -111,22 +411,32 @@ function getBravePath(): string {
   return installation;
 }
 
-function killAll(): Array<Error> {
-  let errors = [];
-  for (const instance of instances) {
+/** Kills every launched instance; resolves once all of them have fully exited. */
+async function killAll(): Promise<Array<LauncherError>> {
+  const errors: LauncherError[] = [];
+  await Promise.all(Array.from(instances, async instance => {
     try {
-      instance.kill();
+      await instance.kill();
       // only delete if kill did not error
       // this means erroring instances remain in the Set
       instances.delete(instance);
     } catch (err) {
-      errors.push(err);
+      errors.push(categorizeError(err));
     }
-  }
+  }));
+  // Also when an instance could not be killed, a shared Xvfb must not outlive us.
+  await stopSharedDisplays();
   return errors;
 }
 
-class Launcher {
+interface Launcher {
+  on<E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>): this;
+  once<E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>): this;
+  off<E extends keyof LauncherEvents>(event: E, listener: LauncherEventListener<E>): this;
+  emit<E extends keyof LauncherEvents>(event: E, payload: LauncherEvents[E]): boolean;
+}
+
+class Launcher extends EventEmitter {
   private tmpDirandPidFileReady = false;
   private pidFile: string;
   private startingUrl: string;
@@ -135,28 +445,66 @@ class Launcher {
   private bravePath?: string;
   private ignoreDefaultFlags?: boolean;
   private braveFlags: string[];
+  private removeFlags: string[];
+  private removeFeatures: string[];
   private prefs: Record<string, JSONLike>;
+  private removePrefs: PrefPath[];
+  private localState: Record<string, JSONLike>;
+  private removeLocalState: PrefPath[];
+  private profileDirectory: string;
+  private braveSettings?: TranslatedBraveSettings;
+  private preset?: Preset;
   private requestedPort?: number;
   private portStrictMode?: boolean;
   private useRemoteDebuggingPipe: boolean;
   private connectionPollInterval: number;
   private maxConnectionRetries: number;
+  private readinessMode: ReadinessMode;
+  private retry?: Required<Omit<RetryOptions, 'categories'>>&Pick<RetryOptions, 'categories'>;
+  private errLogOffset = 0;
+  private startupError?: LauncherError;
+  // Bumped on every spawn so readiness waiters of an abandoned attempt stop.
+  private spawnGeneration = 0;
   private fs: typeof fs;
   private spawn: typeof childProcess.spawn;
   private useDefaultProfile: boolean;
   private envVars: {[key: string]: string|undefined};
-  private launchMode: 'auto' | 'headless' | 'gui';
+  private launchMode: LaunchMode;
+  private resolvedLaunch?: {mode: EffectiveLaunchMode, flags: string[]};
   private enableXvfb: boolean;
   private xvfbOptions: XvfbOptions;
+  private waylandOptions: WaylandOptions;
+  private cdpConnection?: Promise<CDPConnection>;
+  private launchStartTime = 0;
+  private isReady = false;
+  // Set once kill() or close() went after the process, so its exit is no crash.
+  private exitRequested = false;
+  private stderrTail?: {timer: NodeJS.Timeout, offset: number, partial: string};
+  private supervise?: Required<SuperviseOptions>;
+  private restarts = 0;
+  private readyAt = 0;
+  private restarting?: Promise<void>;
+  private supervisionStopped = false;
+  private cancelRestartDelay?: () => void;
+  // Rejects the readiness wait of the Brave being spawned.
+  private abortStartup?: () => void;
+  private profile?: string;
+  private profiles?: ProfileManager;
+  private profileLock?: ProfileLock;
+  private profileTemplate?: string;
 
   braveProcess?: childProcess.ChildProcess;
   userDataDir?: string;
   port?: number;
   remoteDebuggingPipes: RemoteDebuggingPipes|null = null;
+  version: BrowserVersionInfo|null = null;
+  browserWSEndpoint: string|null = null;
   pid?: number;
-  xvfbManager?: XvfbManager;
+  xvfbManager?: VirtualDisplay;
+  private displayLease?: Pick<DisplayLease, 'name'|'env'|'release'>;
 
   constructor(private opts: Options = {}, moduleOverrides: ModuleOverrides = {}) {
+    super();
     this.fs = moduleOverrides.fs || fs;
     this.spawn = moduleOverrides.spawn || spawn;
 
@@ -165,17 +513,58 @@ class Launcher {
     // choose the first one (default)
     this.startingUrl = defaults(this.opts.startingUrl, 'about:blank');
     this.braveFlags = defaults(this.opts.braveFlags, []);
+    this.removeFlags = defaults(this.opts.removeFlags, []);
+    this.removeFeatures = defaults(this.opts.removeFeatures, []);
     this.prefs = defaults(this.opts.prefs, {});
+    this.removePrefs = defaults(this.opts.removePrefs, []);
+    this.localState = defaults(this.opts.localState, {});
+    this.removeLocalState = defaults(this.opts.removeLocalState, []);
+    this.preset = this.opts.preset ? resolvePreset(this.opts.preset) : undefined;
+    const braveSettings = this.preset ?
+        {...this.preset.braveSettings, ...this.opts.braveSettings} :
+        this.opts.braveSettings;
+    if (braveSettings) {
+      this.braveSettings = translateBraveSettings(braveSettings);
+      this.prefs = mergePrefs(this.braveSettings.prefs, this.prefs);
+      this.localState = mergePrefs(this.braveSettings.localState, this.localState);
+    }
     this.requestedPort = defaults(this.opts.port, 0);
     this.portStrictMode = opts.portStrictMode;
     this.bravePath = this.opts.bravePath;
     this.ignoreDefaultFlags = defaults(this.opts.ignoreDefaultFlags, false);
     this.connectionPollInterval = defaults(this.opts.connectionPollInterval, 500);
     this.maxConnectionRetries = defaults(this.opts.maxConnectionRetries, 50);
+    this.readinessMode = defaults(this.opts.readinessMode, 'poll');
+    if (this.opts.retry) {
+      const retry = this.opts.retry === true ? {} : this.opts.retry;
+      this.retry = {
+        attempts: defaults(retry.attempts, 3),
+        initialDelay: defaults(retry.initialDelay, 500),
+        backoffFactor: defaults(retry.backoffFactor, 2),
+        maxDelay: defaults(retry.maxDelay, 10000),
+        categories: retry.categories,
+      };
+    }
+    if (this.opts.supervise) {
+      const supervise = this.opts.supervise === true ? {} : this.opts.supervise;
+      this.supervise = {
+        maxRestarts: defaults(supervise.maxRestarts, 5),
+        initialDelay: defaults(supervise.initialDelay, 1000),
+        backoffFactor: defaults(supervise.backoffFactor, 2),
+        maxDelay: defaults(supervise.maxDelay, 30000),
+        resetAfter: defaults(supervise.resetAfter, 60000),
+      };
+    }
     this.envVars = defaults(opts.envVars, Object.assign({}, process.env));
-    this.launchMode = defaults(this.opts.launchMode, 'auto');
+    this.launchMode =
+        defaults(this.opts.launchMode, (this.preset && this.preset.launchMode) || 'auto');
+    if ((this.launchMode === 'xvfb-gui' || this.launchMode === 'wayland-gui') &&
+        getPlatform() !== 'linux') {
+      throw createInvalidConfigError('launchMode', `a mode other than ${this.launchMode} outside Linux`, this.launchMode);
+    }
     this.enableXvfb = defaults(this.opts.enableXvfb, false);
     this.xvfbOptions = defaults(this.opts.xvfbOptions, {});
+    this.waylandOptions = defaults(this.opts.waylandOptions, {});
 
     if (typeof this.opts.userDataDir === 'boolean') {
       if (!this.opts.userDataDir) {
@@ -189,59 +578,229 @@ class Launcher {
       this.userDataDir = this.opts.userDataDir;
     }
 
+    if (this.opts.profile !== undefined) {
+      if (this.opts.userDataDir !== undefined) {
+        throw createInvalidConfigError('profile', 'a profile name without userDataDir', this.opts.profile);
+      }
+      this.profile = this.opts.profile;
+      this.profiles = new ProfileManager(this.opts.profilesRoot);
+    }
+
+    if (this.opts.profileTemplate !== undefined) {
+      if (!this.ownsUserDataDir) {
+        throw createInvalidConfigError(
+            'profileTemplate', 'a template for a temp profile, without userDataDir or profile',
+            this.opts.profileTemplate);
+      }
+      let isDirectory = false;
+      try {
+        isDirectory = this.fs.statSync(this.opts.profileTemplate).isDirectory();
+      } catch (err) {
+        // Reported below like any other non-directory.
+      }
+      if (!isDirectory) {
+        throw createInvalidConfigError(
+            'profileTemplate', 'an existing directory', this.opts.profileTemplate);
+      }
+      this.profileTemplate = this.opts.profileTemplate;
+    }
+
     // Using startsWith because it could also be --remote-debugging-pipe=cbor
     this.useRemoteDebuggingPipe =
         this.braveFlags.some(f => f.startsWith('--remote-debugging-pipe'));
+
+    const profileDirectoryFlag = this.braveFlags.find(f => f.startsWith('--profile-directory='));
+    const flaggedProfileDirectory =
+        profileDirectoryFlag && profileDirectoryFlag.slice('--profile-directory='.length);
+    if (this.opts.profileDirectory !== undefined && flaggedProfileDirectory !== undefined &&
+        this.opts.profileDirectory !== flaggedProfileDirectory) {
+      throw createInvalidConfigError(
+          'profileDirectory', `the --profile-directory in braveFlags (${flaggedProfileDirectory})`,
+          this.opts.profileDirectory);
+    }
+    this.profileDirectory =
+        this.opts.profileDirectory || flaggedProfileDirectory || 'Default';
+
+    this.checkFlags(defaults(this.opts.strictFlags, false));
+
+    // brave-err.log is only tailed while someone listens for its lines.
+    super.on('newListener', event => {
+      if (event === 'stderr-line' && this.braveProcess && !hasExited(this.braveProcess)) {
+        setImmediate(() => this.startStderrTail());
+      }
+    });
+    super.on('removeListener', event => {
+      if (event === 'stderr-line' && this.listenerCount('stderr-line') === 0) {
+        this.stopStderrTail();
+      }
+    });
   }
 
   private get flags() {
-    const flags = this.ignoreDefaultFlags ? [] : DEFAULT_FLAGS.slice();
+    const flags = this.ignoreDefaultFlags ? new FlagSet() : FlagSet.defaults();
     
     // When useRemoteDebuggingPipe is true, this.port defaults to 0.
     if (this.port) {
-      flags.push(`--remote-debugging-port=${this.port}`);
+      flags.add(`--remote-debugging-port=${this.port}`);
+    } else if (this.discoversPort) {
+      // Let Brave bind any free port; we read it back once it is listening.
+      flags.add('--remote-debugging-port=0');
     }
 
     if (!this.ignoreDefaultFlags && getPlatform() === 'linux') {
-      flags.push('--disable-setuid-sandbox');
+      flags.add('--disable-setuid-sandbox');
     }
 
     if (!this.useDefaultProfile) {
       // Place Brave profile in a custom location we'll rm -rf later
       // If in WSL, we need to use the Windows format
-      flags.push(`--user-data-dir=${isWsl ? toWin32Path(this.userDataDir) : this.userDataDir}`);
+      flags.add(`--user-data-dir=${isWsl ? toWin32Path(this.userDataDir) : this.userDataDir}`);
+    }
+
+    if (this.opts.profileDirectory !== undefined) {
+      flags.add(`--profile-directory=${this.profileDirectory}`);
     }
 
-    // Handle launch mode
-    const effectiveLaunchMode = this.determineEffectiveLaunchMode();
-    if (effectiveLaunchMode === 'headless') {
-      flags.push('--headless');
+    const headlessFlag = HEADLESS_FLAGS[this.effectiveLaunchMode];
+    if (headlessFlag) {
+      flags.add(headlessFlag);
     }
+    flags.add(...this.resolveLaunch().flags);
 
-    flags.push(...this.braveFlags);
-    flags.push(this.startingUrl);
+    if (this.effectiveLaunchMode === 'wayland-gui') {
+      flags.add('--ozone-platform=wayland');
+    } else if (this.effectiveLaunchMode === 'gui' && !this.enableXvfb && getPlatform() === 'linux') {
+      // On a Wayland session Brave would otherwise use Xwayland, or fail without it.
+      flags.add(...ozoneFlags(detectDisplayServers(this.envVars)));
+    }
+
+    if (this.preset) {
+      flags.add(...this.preset.braveFlags);
+    }
+
+    // The window is placed on the virtual display; without one it's not ours to place.
+    const window = this.xvfbOptions.window;
+    if (window && this.wantsXvfb && getPlatform() === 'linux') {
+      if (window.x !== undefined || window.y !== undefined) {
+        flags.add(`--window-position=${window.x || 0},${window.y || 0}`);
+      }
+      if (window.width !== undefined || window.height !== undefined) {
+        flags.add(`--window-size=${defaults(window.width, defaults(this.xvfbOptions.width, 1920))},${
+            defaults(window.height, defaults(this.xvfbOptions.height, 1080))}`);
+      }
+    }
+
+    // Feature lists from braveFlags are merged into the default ones.
+    flags.add(...this.braveFlags);
+
+    if (this.braveSettings) {
+      flags.remove(...this.braveSettings.removeFlags)
+          .enableFeatures(...this.braveSettings.enableFeatures)
+          .disableFeatures(...this.braveSettings.disableFeatures);
+    }
+    flags.remove(...this.removeFlags).removeFeatures(...this.removeFeatures);
 
-    return flags;
+    return [...flags.toArray(), this.startingUrl];
   }
 
-  private determineEffectiveLaunchMode(): 'headless' | 'gui' {
-    if (this.launchMode === 'headless') {
-      return 'headless';
+  private checkFlags(strict: boolean) {
+    // Switches whose value the launcher relies on; a user copy would win over it.
+    const managed: {[switchName: string]: string} = {};
+    if (!this.useRemoteDebuggingPipe || this.requestedPort !== 0) {
+      managed['--remote-debugging-port'] = 'is set by the launcher, use the port option';
     }
-    
-    if (this.launchMode === 'gui') {
-      return 'gui';
+    if (!this.useDefaultProfile) {
+      managed['--user-data-dir'] = 'is set by the launcher, use the userDataDir option';
+    }
+    if (this.launchMode === 'gui' || this.launchMode === 'xvfb-gui' || this.launchMode === 'wayland-gui') {
+      managed['--headless'] = `contradicts launchMode '${this.launchMode}'`;
     }
 
-    // Auto-detection
-    if (process.env.HEADLESS) {
-      return 'headless';
+    const problems = findFlagProblems(this.braveFlags, managed);
+    if (!problems.length) {
+      return;
+    }
+    if (strict) {
+      throw createInvalidFlagsError(problems.map(p => p.flag), problems.map(p => p.message));
+    }
+    for (const problem of problems) {
+      log.warn('BraveLauncher', `braveFlags: ${problem.message}`);
     }
+  }
 
-    const detectedEnv = detectDesktopEnvironment();
-    log.verbose('BraveLauncher', `Detected environment: ${detectedEnv}`);
-    
-    return detectedEnv;
+  /** The command line Brave is (or would be) started with. */
+  get commandLine(): string {
+    return new FlagSet(this.flags).commandLine(this.bravePath);
+  }
+
+  private get discoversPort() {
+    return this.readinessMode !== 'poll' && !this.useRemoteDebuggingPipe;
+  }
+
+  /** The mode Brave is (or would be) launched in, with `auto` resolved. */
+  get effectiveLaunchMode(): EffectiveLaunchMode {
+    return this.resolveLaunch().mode;
+  }
+
+  // Whether the launch starts or joins an Xvfb, on Linux.
+  private get wantsXvfb() {
+    return this.effectiveLaunchMode === 'xvfb-gui' ||
+        (this.enableXvfb && this.effectiveLaunchMode !== 'wayland-gui');
+  }
+
+  private resolveLaunch() {
+    if (!this.resolvedLaunch) {
+      this.resolvedLaunch = this.launchMode === 'auto' ?
+          this.planAutoLaunch(detectEnvironment(this.envVars)) :
+          {mode: this.launchMode, flags: []};
+      log.verbose('BraveLauncher', `Launch mode: ${this.resolvedLaunch.mode}`);
+    }
+    return this.resolvedLaunch;
+  }
+
+  private planAutoLaunch(report: EnvironmentReport): {mode: EffectiveLaunchMode, flags: string[]} {
+    log.verbose('BraveLauncher', `Detected environment: ${JSON.stringify(report)}`);
+    const flags: string[] = [];
+    const addFlag = (flag: string, reason: string) => {
+      log.verbose('BraveLauncher', `Adding ${flag}: ${reason}`);
+      flags.push(flag);
+    };
+    const choose = (mode: EffectiveLaunchMode, reason: string) => {
+      log.verbose('BraveLauncher', `Choosing launch mode ${mode}: ${reason}`);
+      return {mode, flags};
+    };
+
+    // Under WSL this is the Windows build, which neither applies.
+    if (report.platform === 'linux') {
+      if (report.root) {
+        addFlag('--no-sandbox', 'running as root, where the sandbox refuses to start');
+      }
+      if (report.shmSize !== null && report.shmSize < MIN_SHM_SIZE) {
+        addFlag('--disable-dev-shm-usage',
+            `/dev/shm has only ${Math.round(report.shmSize / 1024 / 1024)}MB${
+                report.container ? ` in this ${report.container} container` : ''}`);
+      }
+    }
+
+    if (report.headless) {
+      return choose('headless', 'HEADLESS is set');
+    }
+    if (report.platform !== 'linux') {
+      return choose('gui', report.wslg ? 'WSLg provides a display' : `${report.platform} always has a display`);
+    }
+    if (!report.display.x11 && !report.display.wayland) {
+      if (report.xvfb) {
+        return choose('xvfb-gui', 'there is no display and Xvfb is installed');
+      }
+      if (report.waylandCompositor) {
+        return choose('wayland-gui', `there is no display and ${report.waylandCompositor} is installed`);
+      }
+      return choose('headless', 'there is no display, nor Xvfb or a Wayland compositor to provide one');
+    }
+    if (report.ci) {
+      return choose('headless', `running on CI (${report.ci})`);
+    }
+    return choose('gui', `a display is available (${report.display.wayland || report.display.x11})`);
   }
 
   static defaultFlags() {
@@ -264,24 +823,46 @@ class Launcher {
     return makeTmpDir();
   }
 
-  private async setupXvfb(): Promise<void> {
-    if (!this.enableXvfb && this.determineEffectiveLaunchMode() !== 'headless') {
+  private async setupDisplay(): Promise<void> {
+    // Already up, e.g. when retrying a launch.
+    if (this.displayLease) {
+      return;
+    }
+
+    if (this.effectiveLaunchMode === 'wayland-gui') {
+      const wayland = new WaylandDisplay(this.waylandOptions);
+      await wayland.start();
+      this.displayLease = {
+        name: wayland.getDisplay(),
+        env: base => wayland.env(base),
+        release: () => wayland.stop(),
+      };
+      this.emit('wayland-started', {display: wayland.getDisplay()});
+      return;
+    }
+
+    if (!this.wantsXvfb) {
       return;
     }
 
     if (getPlatform() !== 'linux') {
-      if (this.enableXvfb) {
-        log.warn('BraveLauncher', 'Xvfb is only supported on Linux, ignoring enableXvfb option');
-      }
+      log.warn('BraveLauncher', 'Xvfb is only supported on Linux, ignoring enableXvfb option');
       return;
     }
 
-    // Only setup Xvfb in headless environments or when explicitly enabled
-    const detectedEnv = detectDesktopEnvironment();
-    if (detectedEnv === 'headless' || this.enableXvfb) {
-      this.xvfbManager = new XvfbManager(this.xvfbOptions);
-      await this.xvfbManager.start();
-      log.verbose('BraveLauncher', 'Xvfb setup completed');
+    const lease = await acquireDisplay(this.xvfbOptions);
+    this.displayLease = lease;
+    this.xvfbManager = lease.display;
+    log.verbose('BraveLauncher', 'Xvfb setup completed');
+    this.emit('xvfb-started', {display: lease.name});
+  }
+
+  private async releaseDisplay() {
+    const lease = this.displayLease;
+    delete this.displayLease;
+    delete this.xvfbManager;
+    if (lease) {
+      await lease.release();
     }
   }
 
@@ -292,6 +873,10 @@ class Launcher {
     }
 
     this.userDataDir = this.userDataDir || this.makeTmpDir();
+    if (this.profileTemplate) {
+      copyProfileDirSync(this.profileTemplate, this.userDataDir);
+      log.verbose('BraveLauncher', `Seeded ${this.userDataDir} from ${this.profileTemplate}`);
+    }
     this.outFile = this.fs.openSync(`${this.userDataDir}/brave-out.log`, 'a');
     this.errFile = this.fs.openSync(`${this.userDataDir}/brave-err.log`, 'a');
 
@@ -308,34 +893,197 @@ class Launcher {
 
   private setBrowserPrefs() {
     // don't set prefs if not defined
-    if (Object.keys(this.prefs).length === 0) {
-      return;
-    }
+    if (Object.keys(this.prefs).length || this.removePrefs.length) {
+      const profileDir = `${this.userDataDir}/${this.profileDirectory}`;
+      if (!this.fs.existsSync(profileDir)) {
+        this.fs.mkdirSync(profileDir, {recursive: true});
+      }
 
-    const profileDir = `${this.userDataDir}/Default`;
-    if (!this.fs.existsSync(profileDir)) {
-      this.fs.mkdirSync(profileDir, {recursive: true});
+      try {
+        updatePrefsFile(this.fs, `${profileDir}/Preferences`, this.prefs, this.removePrefs);
+      } catch (err) {
+        log.log('BraveLauncher', `Failed to set browser prefs: ${err.message}`);
+      }
     }
 
-    const preferenceFile = `${profileDir}/Preferences`;
-    try {
-      if (this.fs.existsSync(preferenceFile)) {
-        // overwrite existing file
-        const file = this.fs.readFileSync(preferenceFile, 'utf-8');
-        const content = JSON.parse(file);
-        this.fs.writeFileSync(preferenceFile, JSON.stringify({...content, ...this.prefs}), 'utf-8');
-      } else {
-        // create new Preference file
-        this.fs.writeFileSync(preferenceFile, JSON.stringify({...this.prefs}), 'utf-8');
+    if (Object.keys(this.localState).length || this.removeLocalState.length) {
+      try {
+        updatePrefsFile(
+            this.fs, `${this.userDataDir}/Local State`, this.localState, this.removeLocalState);
+      } catch (err) {
+        log.log('BraveLauncher', `Failed to set Local State: ${err.message}`);
       }
-    } catch (err) {
-      log.log('BraveLauncher', `Failed to set browser prefs: ${err.message}`);
     }
   }
 
   async launch() {
+    this.launchStartTime = Date.now();
+    this.supervisionStopped = false;
+    this.restarts = 0;
+    const errors: LauncherError[] = [];
+    for (let attempt = 1;; attempt++) {
+      try {
+        await this.launchBrave();
+        return;
+      } catch (err) {
+        // Every failure leaves here as a LauncherError, so callers can switch
+        // on `category` and `isRecoverable`.
+        const error = categorizeError(err);
+        errors.push(error);
+
+        const strategy = this.retryStrategyFor(error, attempt);
+        if (!strategy) {
+          throw errors.length > 1 ? createRetriesExhaustedError(errors) : error;
+        }
+
+        const retry = this.retry!;
+        const wait = Math.min(
+            retry.initialDelay * Math.pow(retry.backoffFactor, attempt - 1), retry.maxDelay);
+        log.warn(
+            'BraveLauncher',
+            `Launch attempt ${attempt}/${retry.attempts} failed (${error.category}: ${
+                error.message}), retrying in ${wait}ms with ${strategy}.`);
+        await this.recover(strategy);
+        await delay(wait);
+      }
+    }
+  }
+
+  private retryStrategyFor(error: LauncherError, attempt: number): string|null {
+    if (!this.retry || attempt >= this.retry.attempts) {
+      return null;
+    }
+    if (this.retry.categories && !this.retry.categories.includes(error.category)) {
+      return null;
+    }
+    return getRecoveryStrategy(error);
+  }
+
+  // Undoes what the failed attempt left behind and applies the recovery strategy.
+  private async recover(strategy: string) {
+    await this.discardProcess();
+
+    switch (strategy) {
+      case 'retry_with_different_port':
+        if (this.requestedPort !== 0) {
+          log.warn('BraveLauncher', `Giving up port ${this.requestedPort} for a free one.`);
+          this.requestedPort = 0;
+        }
+        this.port = undefined;
+        break;
+      case 'relaunch_browser':
+        if (this.ownsUserDataDir) {
+          this.destroyTmp();
+          this.userDataDir = undefined;
+          this.tmpDirandPidFileReady = false;
+        }
+        break;
+      case 'restart_xvfb':
+      case 'restart_display':
+        await this.releaseDisplay();
+        break;
+    }
+  }
+
+  // Gets rid of the current process, whatever is left of it, so another can be
+  // spawned into the same userDataDir.
+  private async discardProcess() {
+    this.closeConnection();
+    if (this.braveProcess) {
+      const braveProcess = this.braveProcess;
+      this.killProcessTree();
+      // Give Brave a moment to release the profile's SingletonLock.
+      await waitForExit(braveProcess, 5000);
+      if (braveProcess.pid && !isWindows) {
+        await waitForProcessGroupExit(braveProcess.pid, 5000);
+      }
+    }
+    delete this.braveProcess;
+    delete this.pid;
+    delete this.startupError;
+    this.remoteDebuggingPipes = null;
+    this.version = null;
+    this.browserWSEndpoint = null;
+  }
+
+  // Relaunches a crashed browser until it is ready again or the restart
+  // budget is spent, backing off between attempts.
+  private async restartAfterCrash(crash: LauncherEvents['crash']) {
+    const supervise = this.supervise!;
+    if (this.readyAt && Date.now() - this.readyAt >= supervise.resetAfter) {
+      this.restarts = 0;
+    }
+
+    let error: LauncherError = createProcessCrashedError(
+        crash.exitCode, crash.signal, {pid: crash.pid, stderr: crash.stderr});
+    for (;;) {
+      if (this.restarts >= supervise.maxRestarts) {
+        log.error(
+            'BraveLauncher',
+            `Giving up on Brave after ${this.restarts} restarts: ${error.message}`);
+        this.emit('restart-failed', {restarts: this.restarts, error});
+        return;
+      }
+
+      const wait = Math.min(
+          supervise.initialDelay * Math.pow(supervise.backoffFactor, this.restarts),
+          supervise.maxDelay);
+      this.restarts++;
+      log.warn(
+          'BraveLauncher',
+          `Brave ${crash.pid} crashed, restart ${this.restarts}/${supervise.maxRestarts} in ${
+              wait}ms.`);
+      await new Promise<void>(resolve => {
+        const timer = setTimeout(resolve, wait);
+        this.cancelRestartDelay = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      delete this.cancelRestartDelay;
+      if (this.supervisionStopped) {
+        return;
+      }
+
+      try {
+        await this.discardProcess();
+        this.pid = await this.spawnProcess(this.bravePath!);
+        log.log('BraveLauncher', `Brave restarted with pid ${this.pid}.`);
+        this.emit('restarted', {
+          pid: this.pid!,
+          previousPid: crash.pid,
+          restarts: this.restarts,
+          reason: {exitCode: crash.exitCode, signal: crash.signal, stderr: crash.stderr},
+        });
+        return;
+      } catch (err) {
+        if (this.supervisionStopped) {
+          return;
+        }
+        error = categorizeError(err);
+        log.warn('BraveLauncher', `Restarting Brave failed: ${error.message}`);
+      }
+    }
+  }
+
+  // kill() and close() end supervision; a restart in flight is abandoned.
+  private async stopSupervision() {
+    this.supervisionStopped = true;
+    if (this.cancelRestartDelay) {
+      this.cancelRestartDelay();
+    }
+    if (this.restarting) {
+      // Don't sit out the restarted Brave's readiness wait.
+      if (this.abortStartup) {
+        this.abortStartup();
+      }
+      await this.restarting;
+    }
+  }
+
+  private async launchBrave() {
     // Setup Xvfb first if needed
-    await this.setupXvfb();
+    await this.setupDisplay();
 
     if (this.requestedPort !== 0) {
       this.port = this.requestedPort;
@@ -343,18 +1091,20 @@ class Launcher {
       // If an explict port is passed first look for an open connection...
       try {
         await this.isDebuggerReady();
+        await this.checkAdoptable();
         log.log(
             'BraveLauncher',
             `Found existing Brave already running using port ${this.port}, using that.`);
         return;
       } catch (err) {
+        const reason = err instanceof LauncherError && err.context && err.context.reason || err.message;
         if (this.portStrictMode) {
-          throw new Error(`found no Brave at port ${this.requestedPort}`);
+          throw createNoBrowserAtPortError(this.requestedPort!, reason);
         }
 
         log.log(
             'BraveLauncher',
-            `No debugging port found on port ${this.port}, launching a new Brave.`);
+            `No Brave found on port ${this.port} (${reason}), launching a new Brave.`);
       }
     }
     if (this.bravePath === undefined) {
@@ -366,11 +1116,21 @@ class Launcher {
       this.bravePath = installation;
     }
 
+    if (this.profile !== undefined && !this.profileLock) {
+      this.profiles!.create(this.profile);
+      this.profileLock = this.profiles!.lock(this.profile);
+      this.userDataDir = this.profiles!.userDataDir(this.profile);
+    }
+
     if (!this.tmpDirandPidFileReady) {
       this.prepare();
     }
 
     this.pid = await this.spawnProcess(this.bravePath);
+    if (this.profile !== undefined) {
+      // /json/version only has the Chromium version.
+      this.profiles!.recordUse(this.profile, getBraveVersion(this.bravePath));
+    }
     return Promise.resolve();
   }
 
@@ -387,16 +1147,28 @@ class Launcher {
       // We do this here so that we can know the port before
       // we pass it into brave.
       if (this.requestedPort === 0) {
-        if (this.useRemoteDebuggingPipe) {
+        if (this.useRemoteDebuggingPipe || this.discoversPort) {
           // When useRemoteDebuggingPipe is true, this.port defaults to 0.
+          // In discovery mode it stays 0 until Brave reports the port it bound.
           this.port = 0;
         } else {
-          this.port = await getRandomPort();
+          try {
+            this.port = await getRandomPort();
+          } catch (err) {
+            throw createPortAllocationError([]);
+          }
         }
       }
 
+      this.spawnGeneration++;
+      this.isReady = false;
+      this.exitRequested = false;
+      this.prepareDevToolsDiscovery();
+      // Only stderr written by the process about to be spawned is of interest.
+      this.errLogOffset = this.fs.statSync(this.errLogFile).size;
+
       log.verbose(
-          'BraveLauncher', `Launching with command:\n"${execPath}" ${this.flags.join(' ')}`);
+          'BraveLauncher', `Launching with command:\n${this.commandLine}`);
       this.braveProcess = this.spawn(execPath, this.flags, {
         // On non-windows platforms, `detached: true` makes child process a leader of a new
         // process group, making it possible to kill child process tree with `.kill(-pid)` command.
@@ -405,11 +1177,18 @@ class Launcher {
         stdio: this.useRemoteDebuggingPipe ?
             ['ignore', this.outFile, this.errFile, 'pipe', 'pipe'] :
             ['ignore', this.outFile, this.errFile],
-        env: this.envVars
+        // Each instance's virtual display goes only to its own Brave.
+        env: this.displayLease ? this.displayLease.env(this.envVars) : this.envVars
       });
 
+      this.watchForExit(this.braveProcess);
       if (this.braveProcess.pid) {
-        this.fs.writeFileSync(this.pidFile, this.braveProcess.pid.toString());
+        // The second line names the owning Node process, so reapOrphans()
+        // can tell a profile still in use from one left behind.
+        this.fs.writeFileSync(this.pidFile, `${this.braveProcess.pid}\n${process.pid}`);
+        if (this.profileLock) {
+          this.profileLock.setBrowserPid(this.braveProcess.pid);
+        }
       }
       if (this.useRemoteDebuggingPipe) {
         this.remoteDebuggingPipes = {
@@ -421,54 +1200,374 @@ class Launcher {
       log.verbose(
           'BraveLauncher',
           `Brave running with pid ${this.braveProcess.pid} on port ${this.port}.`);
+      if (this.braveProcess.pid) {
+        this.emit('spawn', {
+          pid: this.braveProcess.pid,
+          executablePath: execPath,
+          flags: this.flags,
+          port: this.port!,
+        });
+      }
+      if (this.listenerCount('stderr-line') > 0) {
+        this.startStderrTail();
+      }
       return this.braveProcess.pid;
     })();
 
     const pid = await spawnPromise;
-    // When useRemoteDebuggingPipe is true, this.port defaults to 0.
-    if (this.port !== 0) {
-      await this.waitUntilReady();
+    const earlyExit = this.watchForEarlyExit();
+    try {
+      await Promise.race([earlyExit.failed, this.waitForDebugger()]);
+    } finally {
+      earlyExit.dispose();
     }
+    this.isReady = true;
+    this.readyAt = Date.now();
+    this.emit('ready', {
+      pid: pid!,
+      port: this.port!,
+      browserWSEndpoint: this.browserWSEndpoint,
+      launchTime: Date.now() - this.launchStartTime,
+    });
     return pid;
   }
 
-  private cleanup(client?: net.Socket) {
-    if (client) {
-      client.removeAllListeners();
-      client.end();
-      client.destroy();
-      client.unref();
+  // Reports every exit of the process, and the ones nobody asked for as crashes.
+  private watchForExit(braveProcess: ChildProcess) {
+    braveProcess.once('exit', (exitCode: number|null, signal: NodeJS.Signals|null) => {
+      const pid = braveProcess.pid!;
+      if (this.stderrTail) {
+        this.readStderrLines(true);
+        this.stopStderrTail();
+      }
+      this.emit('exit', {pid, exitCode, signal});
+      if (this.isReady && !this.exitRequested && braveProcess === this.braveProcess) {
+        log.error(
+            'BraveLauncher', `Brave ${pid} crashed (exit code ${exitCode}, signal ${signal})`);
+        const crash = {pid, exitCode, signal, stderr: this.readStderrTail()};
+        this.emit('crash', crash);
+        if (this.supervise && !this.supervisionStopped) {
+          const restarting = this.restartAfterCrash(crash);
+          this.restarting = restarting;
+          restarting.then(() => {
+            if (this.restarting === restarting) delete this.restarting;
+          });
+        }
+      }
+    });
+  }
+
+  private startStderrTail() {
+    if (this.stderrTail || this.userDataDir === undefined) {
+      return;
     }
+    this.stderrTail = {
+      timer: setInterval(() => this.readStderrLines(false), STDERR_TAIL_INTERVAL),
+      offset: this.errLogOffset,
+      partial: '',
+    };
+    this.stderrTail.timer.unref();
+    this.readStderrLines(false);
   }
 
-  // resolves if ready, rejects otherwise
-  private isDebuggerReady(): Promise<void> {
+  private stopStderrTail() {
+    if (this.stderrTail) {
+      clearInterval(this.stderrTail.timer);
+      delete this.stderrTail;
+    }
+  }
+
+  // Emits the complete lines appended to brave-err.log since the last read.
+  private readStderrLines(flush: boolean) {
+    const tail = this.stderrTail;
+    if (!tail) {
+      return;
+    }
+    let chunk: Buffer;
+    try {
+      chunk = this.fs.readFileSync(this.errLogFile).slice(tail.offset);
+    } catch (err) {
+      return;
+    }
+    tail.offset += chunk.length;
+    const lines = (tail.partial + chunk.toString('utf-8')).split(/\r?\n/);
+    tail.partial = flush ? '' : lines.pop()!;
+    for (const line of lines) {
+      if (line) this.emit('stderr-line', line);
+    }
+  }
+
+  private async waitForDebugger() {
+    if (this.discoversPort) {
+      const {port, browserPath} = await this.waitForDevToolsEndpoint();
+      this.port = port;
+      await this.isDebuggerReady();
+      this.browserWSEndpoint = `ws://127.0.0.1:${port}${browserPath}`;
+      log.verbose('BraveLauncher', `DevTools listening on ${this.browserWSEndpoint}`);
+    } else if (this.port !== 0) {
+      // When useRemoteDebuggingPipe is true, this.port defaults to 0.
+      await this.waitUntilReady();
+      this.browserWSEndpoint = this.version!.webSocketDebuggerUrl;
+    }
+  }
+
+  /**
+   * Rejects as soon as the child exits or fails to spawn while we are still
+   * waiting for DevTools, instead of letting readiness run out of retries.
+   */
+  private watchForEarlyExit() {
+    const braveProcess = this.braveProcess!;
+    const context = () => ({
+      command: this.commandLine,
+      stderr: this.readStderrTail(),
+    });
+
+    let onExit: (code: number|null, signal: NodeJS.Signals|null) => void = () => {};
+    let onError: (err: Error) => void = () => {};
+    let onAbort = () => {};
+    const failed = new Promise<never>((_, reject) => {
+      onAbort = () => reject(createRestartAbandonedError());
+      onExit = (exitCode, signal) => {
+        this.startupError = createProcessCrashedError(exitCode, signal, context());
+        log.error('BraveLauncher', `Brave exited during startup: ${this.startupError.message}`);
+        reject(this.startupError);
+      };
+      onError = err => {
+        this.startupError = createLaunchFailedError(err, context());
+        log.error('BraveLauncher', this.startupError.message);
+        reject(this.startupError);
+      };
+    });
+    // Avoid an unhandled rejection if the process dies after the race settled.
+    failed.catch(() => {});
+
+    braveProcess.once('exit', onExit);
+    braveProcess.once('error', onError);
+    this.abortStartup = onAbort;
+    return {
+      failed,
+      dispose: () => {
+        braveProcess.removeListener('exit', onExit);
+        braveProcess.removeListener('error', onError);
+        if (this.abortStartup === onAbort) {
+          delete this.abortStartup;
+        }
+      },
+    };
+  }
+
+  /** Returns the last lines Brave wrote to brave-err.log since it was spawned. */
+  private readStderrTail(maxLines = 50): string {
+    try {
+      const stderr =
+          this.fs.readFileSync(this.errLogFile).slice(this.errLogOffset).toString('utf-8');
+      return stderr.trimRight().split(/\r?\n/).slice(-maxLines).join('\n');
+    } catch (err) {
+      return '';
+    }
+  }
+
+  private get devToolsActivePortFile() {
+    return `${this.userDataDir}/DevToolsActivePort`;
+  }
+
+  private get errLogFile() {
+    return `${this.userDataDir}/brave-err.log`;
+  }
+
+  // Drops what a previous run in the same userDataDir left behind.
+  private prepareDevToolsDiscovery() {
+    if (this.fs.existsSync(this.devToolsActivePortFile)) {
+      this.fs.unlinkSync(this.devToolsActivePortFile);
+    }
+  }
+
+  // DevToolsActivePort only lands in our userDataDir when we pass --user-data-dir.
+  private get devToolsDiscoverySource(): 'devtools-active-port'|'stderr' {
+    return this.readinessMode === 'devtools-active-port' && !this.useDefaultProfile ?
+        'devtools-active-port' :
+        'stderr';
+  }
+
+  private readDevToolsEndpoint(source = this.devToolsDiscoverySource): DevToolsEndpoint|undefined {
+    if (source === 'devtools-active-port') {
+      if (!this.fs.existsSync(this.devToolsActivePortFile)) {
+        return undefined;
+      }
+      // The file is "<port>\n<browser ws path>" and may be read half-written.
+      const [port, browserPath] =
+          this.fs.readFileSync(this.devToolsActivePortFile, 'utf-8').split('\n');
+      if (!/^\d+$/.test(port) || !browserPath || !browserPath.startsWith('/')) {
+        return undefined;
+      }
+      return {port: Number(port), browserPath: browserPath.trim()};
+    }
+
+    const stderr =
+        this.fs.readFileSync(this.errLogFile).slice(this.errLogOffset).toString('utf-8');
+    const match = /DevTools listening on ws:\/\/[^:\s]+:(\d+)(\/\S*)/.exec(stderr);
+    return match ? {port: Number(match[1]), browserPath: match[2]} : undefined;
+  }
+
+  // rejects once the attempt a readiness waiter belongs to is over
+  private checkStartupAborted(generation: number) {
+    if (this.startupError) {
+      throw this.startupError;
+    }
+    if (generation !== this.spawnGeneration) {
+      throw createLaunchFailedError(new Error('launch attempt was abandoned'));
+    }
+    if (this.supervisionStopped && this.restarting) {
+      throw createRestartAbandonedError();
+    }
+  }
+
+  // resolves as soon as Brave reports where DevTools is listening, rejects
+  // after connectionPollInterval * maxConnectionRetries ms
+  private waitForDevToolsEndpoint(): Promise<DevToolsEndpoint> {
+    const generation = this.spawnGeneration;
+    const timeout = this.connectionPollInterval * this.maxConnectionRetries;
+    const source = this.devToolsDiscoverySource;
+    log.log('BraveLauncher', `Waiting for browser via ${source}.`);
+
     return new Promise((resolve, reject) => {
-      // Note: only meaningful when this.port is set.
-      // When useRemoteDebuggingPipe is true, this.port defaults to 0. In that
-      // case, we could consider ping-ponging over the pipe, but that may get
-      // in the way of the library user, so we do not.
-      const client = net.createConnection(this.port!, '127.0.0.1');
-      client.once('error', err => {
-        this.cleanup(client);
-        reject(err);
+      let watcher: fs.FSWatcher|undefined;
+      let settled = false;
+      let attempt = 0;
+
+      const finish = () => {
+        settled = true;
+        if (watcher) watcher.close();
+        clearInterval(fallbackTimer);
+        clearTimeout(timeoutTimer);
+      };
+
+      const check = () => {
+        if (settled) return;
+        try {
+          this.checkStartupAborted(generation);
+        } catch (err) {
+          finish();
+          return reject(err);
+        }
+        let endpoint;
+        try {
+          endpoint = this.readDevToolsEndpoint();
+        } catch (err) {
+          return;
+        }
+        this.emit('readiness-poll', {attempt: ++attempt, mode: this.readinessMode, ready: !!endpoint});
+        if (endpoint) {
+          finish();
+          log.log('BraveLauncher', `Browser is ready on port ${endpoint.port} ${log.greenify(log.tick)}`);
+          resolve(endpoint);
+        }
+      };
+
+      try {
+        watcher = this.fs.watch(this.userDataDir!, check);
+        watcher.on('error', () => {});
+      } catch (err) {
+        log.verbose('BraveLauncher', `Cannot watch ${this.userDataDir}: ${err.message}`);
+      }
+      // fs.watch can miss events on some filesystems, so also check now and then.
+      const fallbackTimer = setInterval(check, this.connectionPollInterval);
+      const timeoutTimer = setTimeout(() => {
+        if (settled) return;
+        finish();
+        log.error('BraveLauncher', `Logging contents of ${this.errLogFile}`);
+        log.error('BraveLauncher', this.readStderrTail(Infinity));
+        reject(createLaunchTimeoutError(timeout, {source, stderr: this.readStderrTail()}));
+      }, timeout);
+
+      check();
+    });
+  }
+
+  // resolves with the browser metadata if a browser is serving DevTools on
+  // this.port, rejects otherwise
+  private async isDebuggerReady(): Promise<BrowserVersionInfo> {
+    // Note: only meaningful when this.port is set.
+    // When useRemoteDebuggingPipe is true, this.port defaults to 0. In that
+    // case, we could consider ping-ponging over the pipe, but that may get
+    // in the way of the library user, so we do not.
+    const version = await getBrowserVersion(this.port!);
+    this.version = version;
+    return version;
+  }
+
+  // throws unless the Brave we spawned reports this.port itself, through
+  // DevToolsActivePort in our userDataDir or its stderr
+  private checkOwnDebugger() {
+    let endpoint: DevToolsEndpoint|undefined;
+    try {
+      endpoint = this.readDevToolsEndpoint(this.useDefaultProfile ? 'stderr' : 'devtools-active-port');
+    } catch (err) {
+      // brave-err.log not there yet.
+    }
+    if (!endpoint || endpoint.port !== this.port) {
+      throw createPortInUseError(this.port!, {
+        reason: `Port ${this.port} answers, but the Brave we launched does not report listening on it`,
       });
-      client.once('connect', () => {
-        this.cleanup(client);
-        resolve();
+    }
+  }
+
+  // throws if the browser already on this.port is known not to be Brave
+  private async checkAdoptable() {
+    const executable = await this.identifyBrowser();
+    if (executable === undefined) {
+      log.warn('BraveLauncher', `Cannot tell which browser serves port ${this.port}, assuming Brave`);
+      return;
+    }
+    if (!isBraveExecutable(executable, this.bravePath)) {
+      throw createPortInUseError(this.port!, {
+        executable,
+        reason: `Port ${this.port} is served by ${executable}, not Brave`,
       });
-    });
+    }
+  }
+
+  // The executable of the browser on this.port: from its command line over
+  // CDP, which needs --enable-automation, else from the process holding the
+  // port (Linux only).
+  private async identifyBrowser(): Promise<string|undefined> {
+    try {
+      const connection =
+          await CDPConnection.fromWebSocket(this.version!.webSocketDebuggerUrl, IDENTIFY_TIMEOUT);
+      try {
+        const {arguments: args} = await Promise.race([
+          connection.session.send<{arguments: string[]}>('Browser.getBrowserCommandLine'),
+          delay(IDENTIFY_TIMEOUT).then(() => {
+            throw new Error('Browser.getBrowserCommandLine timed out');
+          }),
+        ]);
+        if (args && args.length) {
+          return args[0];
+        }
+      } finally {
+        connection.close();
+      }
+    } catch (err) {
+      log.verbose('BraveLauncher', `Cannot read the command line of port ${this.port}: ${err.message}`);
+    }
+    return getListeningExecutable(this.port!);
   }
 
   // resolves when debugger is ready, rejects after 10 polls
   waitUntilReady() {
     const launcher = this;
+    const generation = this.spawnGeneration;
 
     return new Promise<void>((resolve, reject) => {
       let retries = 0;
       let waitStatus = 'Waiting for browser.';
 
       const poll = () => {
+        try {
+          launcher.checkStartupAborted(generation);
+        } catch (err) {
+          return reject(err);
+        }
         if (retries === 0) {
           log.log('BraveLauncher', waitStatus);
         }
@@ -477,19 +1576,26 @@ class Launcher {
         log.log('BraveLauncher', waitStatus);
 
         launcher.isDebuggerReady()
+            .then(() => launcher.checkOwnDebugger())
             .then(() => {
+              launcher.emit('readiness-poll', {attempt: retries, mode: 'poll', ready: true});
               log.log('BraveLauncher', waitStatus + `${log.greenify(log.tick)}`);
               resolve();
             })
             .catch(err => {
+              launcher.emit(
+                  'readiness-poll', {attempt: retries, mode: 'poll', ready: false, error: err.message});
               if (retries > launcher.maxConnectionRetries) {
                 log.error('BraveLauncher', err.message);
-                const stderr =
-                    this.fs.readFileSync(`${this.userDataDir}/brave-err.log`, {encoding: 'utf-8'});
-                log.error(
-                    'BraveLauncher', `Logging contents of ${this.userDataDir}/brave-err.log`);
-                log.error('BraveLauncher', stderr);
-                return reject(err);
+                log.error('BraveLauncher', `Logging contents of ${launcher.errLogFile}`);
+                log.error('BraveLauncher', launcher.readStderrTail(Infinity));
+                // Someone else answering on our port is the more useful diagnosis.
+                if (err instanceof LauncherError && err.category === ErrorCategory.PORT_IN_USE) {
+                  return reject(err);
+                }
+                return reject(createLaunchTimeoutError(
+                    launcher.connectionPollInterval * launcher.maxConnectionRetries,
+                    {port: launcher.port, lastError: err.message, stderr: this.readStderrTail()}));
               }
               delay(launcher.connectionPollInterval).then(poll);
             });
@@ -498,65 +1604,226 @@ class Launcher {
     });
   }
 
-  kill() {
-    // Stop Xvfb first
-    if (this.xvfbManager) {
-      this.xvfbManager.stop();
+  /**
+   * Returns the browser-level CDP session, connecting on first use. Over
+   * `--remote-debugging-pipe` this takes ownership of `remoteDebuggingPipes`.
+   */
+  async connect(): Promise<CDPSession> {
+    if (!this.cdpConnection) {
+      const connecting = this.createConnection();
+      this.cdpConnection = connecting;
+      connecting.then(
+          connection => connection.once('close', () => {
+            if (this.cdpConnection === connecting) delete this.cdpConnection;
+          }),
+          () => {
+            if (this.cdpConnection === connecting) delete this.cdpConnection;
+          });
     }
+    return (await this.cdpConnection).session;
+  }
 
-    if (!this.braveProcess) {
+  private async createConnection(): Promise<CDPConnection> {
+    if (this.remoteDebuggingPipes) {
+      if (this.braveFlags.some(f => f === '--remote-debugging-pipe=cbor')) {
+        throw createInvalidConfigError(
+            'braveFlags', 'JSON --remote-debugging-pipe (CBOR is not supported by connect())',
+            '--remote-debugging-pipe=cbor');
+      }
+      return CDPConnection.fromPipes(this.remoteDebuggingPipes);
+    }
+    if (!this.port) {
+      throw createInvalidConfigError('port', 'a debugging port or --remote-debugging-pipe', this.port);
+    }
+
+    const {webSocketDebuggerUrl} = this.version || await this.isDebuggerReady();
+    log.verbose('BraveLauncher', `Connecting to ${webSocketDebuggerUrl}`);
+    return CDPConnection.fromWebSocket(webSocketDebuggerUrl);
+  }
+
+  private closeConnection() {
+    if (!this.cdpConnection) {
       return;
     }
+    this.cdpConnection.then(connection => connection.close(), () => {});
+    delete this.cdpConnection;
+  }
+
+  /**
+   * Kills the Brave process tree. Resolves once the process group is gone
+   * and the temp directory has been removed, so the removal can't race the
+   * dying process (EBUSY on Windows).
+   */
+  async kill(): Promise<KillResult> {
+    await this.stopSupervision();
+    const braveProcess = this.braveProcess;
+    if (braveProcess && !hasExited(braveProcess)) {
+      this.killProcessTree();
+      await waitForExit(braveProcess, 10000);
+    }
+    return this.finishShutdown(braveProcess);
+  }
 
-    this.braveProcess.on('close', () => {
-      delete this.braveProcess;
-      this.destroyTmp();
-    });
+  /**
+   * Shuts Brave down so it can flush cookies, the HSTS cache and Preferences:
+   * `Browser.close` over the debugging connection first, then SIGTERM, and
+   * SIGKILL only if the process is still alive `timeout`ms after each step.
+   * Resolves once the process has exited and the temp directory is removed.
+   */
+  async close({timeout = 5000}: CloseOptions = {}): Promise<KillResult> {
+    await this.stopSupervision();
+    const braveProcess = this.braveProcess;
+    if (braveProcess && !hasExited(braveProcess)) {
+      log.log('BraveLauncher', `Closing Brave instance ${braveProcess.pid}`);
+
+      let exited = await this.requestBrowserClose(timeout) &&
+          await waitForExit(braveProcess, timeout);
+      if (!exited) {
+        log.warn('BraveLauncher', `Brave did not close within ${timeout}ms, sending SIGTERM`);
+        this.killProcessTree('SIGTERM');
+        exited = await waitForExit(braveProcess, timeout);
+      }
+      if (!exited) {
+        log.warn('BraveLauncher', `Brave ignored SIGTERM for ${timeout}ms, sending SIGKILL`);
+        this.killProcessTree('SIGKILL');
+        await waitForExit(braveProcess, timeout);
+      }
+    }
+    return this.finishShutdown(braveProcess);
+  }
+
+  // Runs once the browser has been told to go away: waits for the rest of
+  // its process group, then releases everything the launcher set up.
+  private async finishShutdown(braveProcess?: ChildProcess): Promise<KillResult> {
+    if (braveProcess && braveProcess.pid && !isWindows) {
+      await waitForProcessGroupExit(braveProcess.pid, 5000);
+    }
+
+    this.closeConnection();
+    await this.releaseDisplay();
+    delete this.braveProcess;
+
+    let tmpDirRemoved = false;
+    try {
+      tmpDirRemoved = this.destroyTmp();
+    } catch (err) {
+      log.warn('BraveLauncher', `Could not remove ${this.userDataDir}: ${err.message}`);
+    }
+    if (this.profileLock) {
+      this.profileLock.release();
+      delete this.profileLock;
+    }
+
+    const result: KillResult = {
+      exitCode: braveProcess ? braveProcess.exitCode : null,
+      signal: braveProcess ? braveProcess.signalCode : null,
+      tmpDirRemoved,
+    };
+    this.emit('cleanup', result);
+    return result;
+  }
+
+  // resolves true once Browser.close has been sent
+  private async requestBrowserClose(timeout: number): Promise<boolean> {
+    try {
+      const session = await Promise.race([
+        this.connect(),
+        delay(timeout).then(() => {
+          throw new Error(`no debugging connection within ${timeout}ms`);
+        }),
+      ]);
+      this.exitRequested = true;
+      // Brave drops the connection while exiting, so there may be no reply.
+      session.send('Browser.close').catch(() => {});
+      return true;
+    } catch (err) {
+      log.verbose('BraveLauncher', `Could not send Browser.close: ${err.message}`);
+      return false;
+    }
+  }
+
+  private killProcessTree(signal: 'SIGTERM'|'SIGKILL' = 'SIGKILL') {
+    if (!this.braveProcess) {
+      return;
+    }
+    this.exitRequested = true;
 
     log.log('BraveLauncher', `Killing Brave instance ${this.braveProcess.pid}`);
     try {
       if (isWindows) {
         // https://github.com/GoogleChrome/chrome-launcher/issues/266
+        // Without /F, taskkill asks the windows to close, much like SIGTERM.
+        const force = signal === 'SIGKILL' ? ' /F' : '';
         const taskkillProc = spawnSync(
-            `taskkill /pid ${this.braveProcess.pid} /T /F`, {shell: true, encoding: 'utf-8'});
+            `taskkill /pid ${this.braveProcess.pid} /T${force}`, {shell: true, encoding: 'utf-8'});
 
         const {stderr} = taskkillProc;
         if (stderr) log.error('BraveLauncher', `taskkill stderr`, stderr);
       } else {
         if (this.braveProcess.pid) {
-          process.kill(-this.braveProcess.pid, 'SIGKILL');
+          process.kill(-this.braveProcess.pid, signal);
         }
       }
     } catch (err) {
       const message = `Brave could not be killed ${err.message}`;
       log.warn('BraveLauncher', message);
     }
-    this.destroyTmp();
   }
 
-  destroyTmp() {
+  // Whether userDataDir is a temp dir of ours rather than the caller's or a named profile.
+  private get ownsUserDataDir() {
+    return this.opts.userDataDir === undefined && this.profile === undefined;
+  }
+
+  /** Removes the temp userDataDir if the launcher created it; returns whether it is gone. */
+  destroyTmp(): boolean {
+    // The logs are open in any userDataDir, ours or not.
     if (this.outFile) {
       this.fs.closeSync(this.outFile);
       delete this.outFile;
     }
-
-    // Only clean up the tmp dir if we created it.
-    if (this.userDataDir === undefined || this.opts.userDataDir !== undefined) {
-      return;
-    }
-
     if (this.errFile) {
       this.fs.closeSync(this.errFile);
       delete this.errFile;
     }
 
+    // Only clean up the tmp dir if we created it.
+    if (this.userDataDir === undefined || !this.ownsUserDataDir) {
+      // The next launch() reopens the logs.
+      this.tmpDirandPidFileReady = false;
+      return false;
+    }
+
     // backwards support for node v12 + v14.14+
     // https://nodejs.org/api/deprecations.html#DEP0147
     const rmSync = this.fs.rmSync || this.fs.rmdirSync;
     rmSync(this.userDataDir, {recursive: true, force: true, maxRetries: 10});
+    return !this.fs.existsSync(this.userDataDir);
   }
 };
 
+function hasExited(child: ChildProcess) {
+  return child.exitCode !== null || child.signalCode !== null;
+}
+
+// resolves true if the child exited within timeout ms
+function waitForExit(child: ChildProcess, timeout: number): Promise<boolean> {
+  if (hasExited(child)) {
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => {
+    const onExit = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      child.removeListener('exit', onExit);
+      resolve(false);
+    }, timeout);
+    child.once('exit', onExit);
+  });
+}
+
 export default Launcher;
 export {Launcher, launch, killAll, getBravePath};
 
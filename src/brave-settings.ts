@@ -0,0 +1,205 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {JSONObject, mergePrefs} from './prefs.js';
+import {createInvalidConfigError} from './errors.js';
+
+/**
+ * Brave behaviour to set up for a launch, translated into Preferences,
+ * Local State and `--enable-features`/`--disable-features`. Anything left
+ * unset keeps Brave's (or the profile's) current value.
+ */
+export interface BraveSettings {
+  /** Trackers & ads blocking. */
+  shields?: 'aggressive'|'standard'|'off';
+  /** Fingerprinting protection. */
+  fingerprinting?: 'strict'|'standard'|'off';
+  /** Cookie blocking. */
+  cookies?: 'block-all'|'block-third-party'|'allow';
+  /** Upgrading connections to HTTPS. */
+  httpsUpgrade?: 'strict'|'standard'|'off';
+  /** Default search engine. */
+  searchEngine?: 'brave'|'google'|'duckduckgo'|'bing'|'startpage';
+  /** Brave Ads. Disabled by DEFAULT_FLAGS. */
+  ads?: boolean;
+  /** Brave Rewards. Disabled by DEFAULT_FLAGS. */
+  rewards?: boolean;
+  /** Brave Wallet. Disabled by DEFAULT_FLAGS. */
+  wallet?: boolean;
+  /** Brave News. Disabled by DEFAULT_FLAGS. */
+  news?: boolean;
+  /** The Brave VPN button. */
+  vpn?: boolean;
+  /** Leo, the AI assistant. */
+  leo?: boolean;
+  /** Private windows with Tor. */
+  tor?: boolean;
+}
+
+export interface TranslatedBraveSettings {
+  prefs: JSONObject;
+  localState: JSONObject;
+  enableFeatures: string[];
+  disableFeatures: string[];
+  /** Default flags that would undo a setting. */
+  removeFlags: string[];
+}
+
+// Content setting values as stored in profile.default_content_setting_values.
+const ALLOW = 1;
+const BLOCK = 2;
+const ASK = 3;
+
+const SHIELDS_LEVELS = {
+  aggressive: {braveAds: BLOCK, braveTrackers: BLOCK, braveCosmeticFiltering: BLOCK},
+  standard: {braveAds: BLOCK, braveTrackers: BLOCK},
+  off: {braveAds: ALLOW, braveTrackers: ALLOW, braveCosmeticFiltering: ALLOW},
+};
+
+// Brave stores "standard" as ASK for the settings that have three levels.
+const THREE_LEVELS = {strict: BLOCK, standard: ASK, off: ALLOW};
+
+const COOKIE_MODES = {
+  'block-all': {controlsMode: 1, contentSetting: BLOCK},
+  'block-third-party': {controlsMode: 1, contentSetting: ALLOW},
+  'allow': {controlsMode: 0, contentSetting: ALLOW},
+};
+
+const SEARCH_ENGINES = {
+  brave: {
+    prepopulate_id: 550,
+    short_name: 'Brave',
+    keyword: ':br',
+    url: 'https://search.brave.com/search?q={searchTerms}&source=desktop',
+    suggestions_url: 'https://search.brave.com/api/suggest?q={searchTerms}&rich=true&source=desktop',
+  },
+  google: {
+    prepopulate_id: 1,
+    short_name: 'Google',
+    keyword: ':g',
+    url: '{google:baseURL}search?q={searchTerms}&{google:RLZ}{google:originalQueryForSuggestion}{google:assistedQueryStats}{google:searchFieldtrialParameter}{google:searchClient}{google:sourceId}ie={inputEncoding}',
+    suggestions_url: '{google:baseSuggestURL}search?{google:searchFieldtrialParameter}client={google:suggestClient}&gs_ri={google:suggestRid}&xssi=t&q={searchTerms}&{google:inputType}{google:omniboxFocusType}{google:cursorPosition}{google:currentPageUrl}{google:pageClassification}{google:clientCacheTimeToLive}{google:searchVersion}{google:sessionToken}{google:prefetchQuery}sugkey={google:suggestAPIKeyParameter}',
+  },
+  duckduckgo: {
+    prepopulate_id: 92,
+    short_name: 'DuckDuckGo',
+    keyword: ':d',
+    url: 'https://duckduckgo.com/?q={searchTerms}&t=brave',
+    suggestions_url: 'https://ac.duckduckgo.com/ac/?q={searchTerms}&type=list',
+  },
+  bing: {
+    prepopulate_id: 3,
+    short_name: 'Bing',
+    keyword: ':b',
+    url: 'https://www.bing.com/search?q={searchTerms}',
+    suggestions_url: 'https://www.bing.com/osjson.aspx?query={searchTerms}&language={language}',
+  },
+  startpage: {
+    prepopulate_id: 502,
+    short_name: 'Startpage',
+    keyword: ':sp',
+    url: 'https://www.startpage.com/do/search?q={searchTerms}&segment=startpage.brave',
+    suggestions_url: 'https://www.startpage.com/suggestions?q={searchTerms}&segment=startpage.brave&format=opensearch',
+  },
+};
+
+// Feature and toolbar pref of each toggle that has a UI entry point.
+const UI_TOGGLES: Array<{setting: keyof BraveSettings, feature: string, prefs: (on: boolean) => JSONObject}> = [
+  {
+    setting: 'ads',
+    feature: 'BraveAds',
+    prefs: on => ({brave: {brave_ads: {enabled: on}}}),
+  },
+  {
+    setting: 'rewards',
+    feature: 'BraveRewards',
+    prefs: on => ({brave: {rewards: {show_brave_rewards_button_in_location_bar: on}}}),
+  },
+  {
+    setting: 'wallet',
+    feature: 'BraveWallet',
+    prefs: on => ({brave: {wallet: {show_wallet_icon_on_toolbar: on}}}),
+  },
+  {
+    setting: 'news',
+    feature: 'BraveNews',
+    prefs: on => ({brave: {new_tab_page: {show_brave_news: on}, today: {should_show_toolbar_button: on}}}),
+  },
+  {
+    setting: 'vpn',
+    feature: 'BraveVPN',
+    prefs: on => ({brave: {brave_vpn: {show_button: on}}}),
+  },
+  {
+    setting: 'leo',
+    feature: 'AIChat',
+    prefs: on => ({brave: {ai_chat: {show_toolbar_button: on}}}),
+  },
+];
+
+function pick<T>(key: keyof BraveSettings, value: string, table: {[name: string]: T}): T {
+  if (!Object.prototype.hasOwnProperty.call(table, value)) {
+    throw createInvalidConfigError(
+        `braveSettings.${key}`, `one of ${Object.keys(table).join(', ')}`, value);
+  }
+  return table[value];
+}
+
+/** Translates `settings` into the prefs, Local State and features that implement them. */
+export function translateBraveSettings(settings: BraveSettings): TranslatedBraveSettings {
+  const translated: TranslatedBraveSettings = {
+    prefs: {},
+    localState: {},
+    enableFeatures: [],
+    disableFeatures: [],
+    removeFlags: [],
+  };
+  const addPrefs = (prefs: JSONObject) => {
+    translated.prefs = mergePrefs(translated.prefs, prefs);
+  };
+  const addContentSettings = (values: JSONObject) => {
+    addPrefs({profile: {default_content_setting_values: values}});
+  };
+
+  if (settings.shields !== undefined) {
+    addContentSettings(pick('shields', settings.shields, SHIELDS_LEVELS));
+  }
+  if (settings.fingerprinting !== undefined) {
+    addContentSettings(
+        {braveFingerprintingV2: pick('fingerprinting', settings.fingerprinting, THREE_LEVELS)});
+  }
+  if (settings.httpsUpgrade !== undefined) {
+    addContentSettings({httpsUpgrades: pick('httpsUpgrade', settings.httpsUpgrade, THREE_LEVELS)});
+  }
+  if (settings.cookies !== undefined) {
+    const mode = pick('cookies', settings.cookies, COOKIE_MODES);
+    addContentSettings({cookies: mode.contentSetting});
+    addPrefs({profile: {cookie_controls_mode: mode.controlsMode}});
+  }
+  if (settings.searchEngine !== undefined) {
+    const engine = pick('searchEngine', settings.searchEngine, SEARCH_ENGINES);
+    addPrefs({default_search_provider_data: {template_url_data: {...engine}}});
+  }
+
+  for (const toggle of UI_TOGGLES) {
+    const on = settings[toggle.setting];
+    if (on === undefined) {
+      continue;
+    }
+    (on ? translated.enableFeatures : translated.disableFeatures).push(toggle.feature);
+    addPrefs(toggle.prefs(!!on));
+  }
+
+  if (settings.tor !== undefined) {
+    translated.localState = {tor: {tor_disabled: !settings.tor}};
+    if (settings.tor) {
+      translated.removeFlags.push('--disable-tor-client-updater');
+    }
+  }
+
+  return translated;
+}
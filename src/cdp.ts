@@ -0,0 +1,530 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as crypto from 'crypto';
+import * as http from 'http';
+import * as net from 'net';
+import {EventEmitter} from 'events';
+import log from './logger.js';
+import {createProtocolError} from './errors.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const enum Opcode {
+  CONTINUATION = 0x0,
+  TEXT = 0x1,
+  BINARY = 0x2,
+  CLOSE = 0x8,
+  PING = 0x9,
+  PONG = 0xa,
+}
+
+export interface RemoteDebuggingPipes {
+  incoming: NodeJS.ReadableStream, outgoing: NodeJS.WritableStream,
+}
+
+/**
+ * A message channel to the browser. Emits `message` with each raw JSON
+ * message and `close` once the channel is gone.
+ */
+export interface CDPTransport extends EventEmitter {
+  send(message: string): void;
+  close(): void;
+}
+
+/**
+ * Minimal RFC 6455 client, just enough to talk to the DevTools endpoint
+ * without pulling in a WebSocket dependency.
+ */
+export class WebSocketTransport extends EventEmitter implements CDPTransport {
+  private chunks: Buffer[] = [];
+  private bufferedLength = 0;
+  private fragments: Buffer[] = [];
+  private closed = false;
+
+  private constructor(private socket: net.Socket, head: Buffer) {
+    super();
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', err => log.verbose('BraveLauncher', `CDP socket error: ${err.message}`));
+    socket.on('close', () => this.onClose());
+    if (head.length) {
+      this.onData(head);
+    }
+  }
+
+  /**
+   * Opens the WebSocket. Rejects if the handshake does not complete within
+   * `timeout` ms, e.g. when the endpoint accepts TCP but never upgrades.
+   */
+  static connect(url: string, timeout = 5000): Promise<WebSocketTransport> {
+    return new Promise((resolve, rejectWith) => {
+      const key = crypto.randomBytes(16).toString('base64');
+      const request = http.request(url.replace(/^ws:/, 'http:'), {
+        headers: {
+          'Connection': 'Upgrade',
+          'Upgrade': 'websocket',
+          'Sec-WebSocket-Key': key,
+          'Sec-WebSocket-Version': '13',
+        },
+      });
+      const timer = setTimeout(() => {
+        reject(createProtocolError(`Timed out connecting to ${url} after ${timeout}ms`, {url, timeout}));
+        // Also destroys the socket.
+        request.destroy();
+      }, timeout);
+      const reject = (err: Error) => {
+        clearTimeout(timer);
+        rejectWith(err);
+      };
+
+      request.once('upgrade', (response, socket, head) => {
+        const expected =
+            crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        if (response.headers['sec-websocket-accept'] !== expected) {
+          socket.destroy();
+          return reject(createProtocolError(`Invalid WebSocket handshake from ${url}`, {url}));
+        }
+        clearTimeout(timer);
+        resolve(new WebSocketTransport(socket, head));
+      });
+      request.once('response', response => {
+        response.resume();
+        reject(createProtocolError(
+            `Unexpected response ${response.statusCode} from ${url}`, {url}));
+      });
+      request.once('error', err => {
+        reject(createProtocolError(`Cannot connect to ${url}: ${err.message}`, {url}));
+      });
+      request.end();
+    });
+  }
+
+  send(message: string) {
+    this.writeFrame(Opcode.TEXT, Buffer.from(message, 'utf-8'));
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.writeFrame(Opcode.CLOSE, Buffer.alloc(0));
+    this.socket.end();
+  }
+
+  private writeFrame(opcode: Opcode, payload: Buffer) {
+    if (this.closed || this.socket.destroyed) {
+      return;
+    }
+
+    let header: Buffer;
+    if (payload.length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = 0x80 | payload.length;
+    } else if (payload.length < 0x10000) {
+      header = Buffer.alloc(4);
+      header[1] = 0x80 | 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 0x80 | 127;
+      header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+      header.writeUInt32BE(payload.length >>> 0, 6);
+    }
+    header[0] = 0x80 | opcode;
+
+    // Client-to-server frames must always be masked.
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.alloc(payload.length);
+    for (let i = 0; i < payload.length; i++) {
+      masked[i] = payload[i] ^ mask[i & 3];
+    }
+    this.socket.write(Buffer.concat([header, mask, masked]));
+  }
+
+  private onData(chunk: Buffer) {
+    this.chunks.push(chunk);
+    this.bufferedLength += chunk.length;
+
+    while (this.bufferedLength >= 2) {
+      const buffer = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks);
+      this.chunks = [buffer];
+
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const isMasked = (buffer[1] & 0x80) !== 0;
+      let payloadLength = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (payloadLength === 126) {
+        if (buffer.length < 4) return;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (payloadLength === 127) {
+        if (buffer.length < 10) return;
+        payloadLength = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (isMasked) {
+        offset += 4;
+      }
+      if (buffer.length < offset + payloadLength) return;
+
+      const payload = Buffer.from(buffer.slice(offset, offset + payloadLength));
+      if (isMasked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i & 3)];
+        }
+      }
+
+      const rest = buffer.slice(offset + payloadLength);
+      this.chunks = rest.length ? [rest] : [];
+      this.bufferedLength = rest.length;
+
+      this.onFrame(fin, opcode, payload);
+    }
+  }
+
+  private onFrame(fin: boolean, opcode: number, payload: Buffer) {
+    switch (opcode) {
+      case Opcode.TEXT:
+      case Opcode.BINARY:
+      case Opcode.CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf-8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+      case Opcode.PING:
+        this.writeFrame(Opcode.PONG, payload);
+        break;
+      case Opcode.CLOSE:
+        this.writeFrame(Opcode.CLOSE, Buffer.alloc(0));
+        this.socket.end();
+        break;
+      default:
+        break;
+    }
+  }
+
+  private onClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Transport over the `--remote-debugging-pipe` streams. Messages are JSON
+ * separated by a NUL byte in both directions.
+ */
+export class PipeTransport extends EventEmitter implements CDPTransport {
+  private pending: Buffer[] = [];
+  private closed = false;
+
+  private onDataListener = (chunk: Buffer|string) => this.onData(chunk);
+  private onCloseListener = () => this.onClose();
+
+  constructor(private pipes: RemoteDebuggingPipes) {
+    super();
+    pipes.incoming.on('data', this.onDataListener);
+    pipes.incoming.on('close', this.onCloseListener);
+    pipes.incoming.on('end', this.onCloseListener);
+    pipes.outgoing.on('error', (err: Error) => {
+      log.verbose('BraveLauncher', `CDP pipe error: ${err.message}`);
+    });
+  }
+
+  send(message: string) {
+    if (this.closed) {
+      return;
+    }
+    this.pipes.outgoing.write(message + '\0');
+  }
+
+  close() {
+    this.pipes.incoming.removeListener('data', this.onDataListener);
+    this.onClose();
+  }
+
+  private onData(chunk: Buffer|string) {
+    let buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf-8') : chunk;
+    let end = buffer.indexOf(0);
+    while (end !== -1) {
+      const message = Buffer.concat([...this.pending, buffer.slice(0, end)]).toString('utf-8');
+      this.pending = [];
+      this.emit('message', message);
+      buffer = buffer.slice(end + 1);
+      end = buffer.indexOf(0);
+    }
+    if (buffer.length) {
+      this.pending.push(buffer);
+    }
+  }
+
+  private onClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.pipes.incoming.removeListener('close', this.onCloseListener);
+    this.pipes.incoming.removeListener('end', this.onCloseListener);
+    this.emit('close');
+  }
+}
+
+interface PendingCommand {
+  method: string;
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * A CDP session. The browser-level session is available as
+ * `connection.session`; target sessions are created with `attachToTarget()`.
+ * Protocol events are emitted under their method name, e.g.
+ * `session.on('Target.targetCreated', params => ...)`.
+ */
+export class CDPSession extends EventEmitter {
+  private detached = false;
+
+  constructor(readonly connection: CDPConnection, readonly sessionId?: string) {
+    super();
+  }
+
+  send<T = any>(method: string, params: object = {}): Promise<T> {
+    if (this.detached) {
+      return Promise.reject(createProtocolError(
+          `${method}: session ${this.sessionId} is detached`, {method, sessionId: this.sessionId}));
+    }
+    return this.connection._sendCommand(method, params, this.sessionId);
+  }
+
+  /** Attaches to a target using flat session mode and returns its session. */
+  async attachToTarget(targetId: string): Promise<CDPSession> {
+    const result = await this.connection.session.send<{sessionId: string}|undefined>(
+        'Target.attachToTarget', {targetId, flatten: true});
+    if (!result || !result.sessionId) {
+      throw createProtocolError(
+          'Target.attachToTarget: reply has no sessionId', {method: 'Target.attachToTarget', targetId});
+    }
+    return this.connection._getOrCreateSession(result.sessionId);
+  }
+
+  /** Detaches this target session. The browser session cannot be detached. */
+  async detach(): Promise<void> {
+    if (!this.sessionId) {
+      throw createProtocolError('Cannot detach the browser session');
+    }
+    if (this.detached) {
+      return;
+    }
+    await this.connection.session.send('Target.detachFromTarget', {sessionId: this.sessionId});
+    this._onDetached();
+  }
+
+  get isDetached() {
+    return this.detached;
+  }
+
+  _onDetached() {
+    if (this.detached) {
+      return;
+    }
+    this.detached = true;
+    this.emit('detached');
+  }
+}
+
+/**
+ * Multiplexes CDP commands and events for all sessions over one transport.
+ */
+export class CDPConnection extends EventEmitter {
+  readonly session: CDPSession;
+  private lastId = 0;
+  private pending = new Map<number, PendingCommand>();
+  private sessions = new Map<string, CDPSession>();
+  private closed = false;
+
+  constructor(private transport: CDPTransport) {
+    super();
+    this.session = new CDPSession(this);
+    transport.on('message', (message: string) => this.onMessage(message));
+    transport.on('close', () => this.onClose());
+  }
+
+  /**
+   * Connects to a `webSocketDebuggerUrl` exposed by `--remote-debugging-port`,
+   * giving up after `timeout` ms.
+   */
+  static async fromWebSocket(url: string, timeout?: number): Promise<CDPConnection> {
+    return new CDPConnection(await WebSocketTransport.connect(url, timeout));
+  }
+
+  /** Wraps the streams wired up by `--remote-debugging-pipe`. */
+  static fromPipes(pipes: RemoteDebuggingPipes): CDPConnection {
+    return new CDPConnection(new PipeTransport(pipes));
+  }
+
+  get isClosed() {
+    return this.closed;
+  }
+
+  close() {
+    this.transport.close();
+    this.onClose();
+  }
+
+  _sendCommand(method: string, params: object, sessionId?: string): Promise<any> {
+    if (this.closed) {
+      return Promise.reject(createProtocolError(`${method}: CDP connection is closed`, {method}));
+    }
+
+    const id = ++this.lastId;
+    const message = JSON.stringify(sessionId ? {id, method, params, sessionId} : {id, method, params});
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, {method, resolve, reject});
+      this.transport.send(message);
+    });
+  }
+
+  _getOrCreateSession(sessionId: string): CDPSession {
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = new CDPSession(this, sessionId);
+      this.sessions.set(sessionId, session);
+    }
+    return session;
+  }
+
+  private onMessage(raw: string) {
+    let message: any;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      log.warn('BraveLauncher', `Ignoring malformed CDP message: ${err.message}`);
+      return;
+    }
+
+    if (typeof message.id === 'number') {
+      const command = this.pending.get(message.id);
+      if (!command) {
+        return;
+      }
+      this.pending.delete(message.id);
+      if (message.error) {
+        command.reject(createProtocolError(
+            `${command.method}: ${message.error.message}`,
+            {method: command.method, code: message.error.code, data: message.error.data}));
+        return;
+      }
+      // Register the session before any of its events, which may be in the
+      // same chunk, are dispatched. A malformed reply must not throw out of
+      // the transport's listener.
+      if (command.method === 'Target.attachToTarget' && message.result && message.result.sessionId) {
+        this._getOrCreateSession(message.result.sessionId);
+      }
+      command.resolve(message.result);
+      return;
+    }
+
+    const {method, params, sessionId} = message;
+    // Register auto-attached targets so their events are routed.
+    if (method === 'Target.attachedToTarget') {
+      this._getOrCreateSession(params.sessionId);
+    }
+
+    const session = sessionId ? this.sessions.get(sessionId) : this.session;
+    if (session) {
+      session.emit(method, params);
+    }
+
+    if (method === 'Target.detachedFromTarget') {
+      const detached = this.sessions.get(params.sessionId);
+      if (detached) {
+        this.sessions.delete(params.sessionId);
+        detached._onDetached();
+      }
+    }
+  }
+
+  private onClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    for (const command of this.pending.values()) {
+      command.reject(
+          createProtocolError(`${command.method}: CDP connection closed`, {method: command.method}));
+    }
+    this.pending.clear();
+
+    for (const session of this.sessions.values()) {
+      session._onDetached();
+    }
+    this.sessions.clear();
+
+    this.emit('close');
+  }
+}
+
+/** Browser metadata served by the DevTools HTTP endpoint at `/json/version`. */
+export interface BrowserVersionInfo {
+  /** Product and version. Brave keeps Chrome's, e.g. `Chrome/130.0.6723.70`. */
+  browser: string;
+  protocolVersion: string;
+  userAgent: string;
+  v8Version: string;
+  webKitVersion: string;
+  webSocketDebuggerUrl: string;
+}
+
+/**
+ * Fetches and parses `/json/version` from a browser listening on `port`.
+ */
+export function getBrowserVersion(
+    port: number, host = '127.0.0.1', timeout = 5000): Promise<BrowserVersionInfo> {
+  return new Promise((resolve, rejectWith) => {
+    const reject = (err: Error) => rejectWith(createProtocolError(
+        `Failed to fetch /json/version on port ${port}: ${err.message}`, {host, port}));
+    const request = http.get({host, port, path: '/json/version'}, response => {
+      let body = '';
+      response.setEncoding('utf-8');
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          return reject(new Error(`unexpected response ${response.statusCode}`));
+        }
+        let json: Record<string, string>;
+        try {
+          json = JSON.parse(body);
+        } catch (err) {
+          return reject(err);
+        }
+        resolve({
+          browser: json['Browser'] || '',
+          protocolVersion: json['Protocol-Version'] || '',
+          userAgent: json['User-Agent'] || '',
+          v8Version: json['V8-Version'] || '',
+          webKitVersion: json['WebKit-Version'] || '',
+          webSocketDebuggerUrl: json['webSocketDebuggerUrl'] || '',
+        });
+      });
+    });
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`timed out after ${timeout}ms`));
+    });
+    request.once('error', reject);
+  });
+}
@@ -16,6 +16,7 @@ import {ChildProcess} from 'child_process';
 import {spawn, spawnSync} from 'child_process';
 import log from './logger.js';
 import {XvfbSupport, XvfbOptions} from './xvfb-support.js';
+import {categorizeError, createNoBrowserAtPortError} from './errors.js';
 
 const isWsl = getPlatform() === 'wsl';
 const isWindows = getPlatform() === 'win32';
@@ -99,7 +100,9 @@ async function launch(opts: Options = {}): Promise<LaunchedBrave> {
     }
   }
 
-  const instance = new Launcher(opts);
+  // The virtual display only reaches this Brave, not process.env.
+  const instance = new Launcher(
+      xvfb ? {...opts, envVars: xvfb.env(defaults(opts.envVars, process.env))} : opts);
 
   // Kill spawned Brave process in case of ctrl-C.
   if (opts.handleSIGINT && instances.size === 0) {
@@ -148,7 +151,7 @@ function killAll(): Array<Error> {
       // this means erroring instances remain in the Set
       instances.delete(instance);
     } catch (err) {
-      errors.push(err);
+      errors.push(categorizeError(err));
     }
   }
   return errors;
@@ -333,7 +336,7 @@ class Launcher {
         return;
       } catch (err) {
         if (this.portStrictMode) {
-          throw new Error(`found no Chrome at port ${this.requestedPort}`);
+          throw createNoBrowserAtPortError(this.requestedPort!, err.message);
         }
 
         log.log(
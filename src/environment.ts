@@ -0,0 +1,153 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as fs from 'fs';
+import {getPlatform, isXvfbAvailable} from './utils.js';
+import {DisplayServers, WaylandCompositor, detectDisplayServers, findCompositor} from './wayland.js';
+
+type Env = {[key: string]: string|undefined};
+
+export type ContainerRuntime = 'docker'|'podman'|'kubernetes'|'lxc'|'unknown';
+
+export type CIProvider = 'github-actions'|'gitlab'|'circleci'|'travis'|'jenkins'|'azure-pipelines'|
+    'buildkite'|'bitbucket'|'teamcity'|'aws-codebuild'|'drone'|'appveyor'|'unknown';
+
+export interface EnvironmentReport {
+  /** As returned by getPlatform(), i.e. `wsl` inside WSL. */
+  platform: string;
+  /** The container runtime we run under, or null outside containers. */
+  container: ContainerRuntime|null;
+  /** Running as root, where Brave's sandbox refuses to start. */
+  root: boolean;
+  /** Size of /dev/shm in bytes, or null where there is none or it can't be told. */
+  shmSize: number|null;
+  wsl: boolean;
+  /** WSLg provides an X and Wayland display to Linux programs. */
+  wslg: boolean;
+  /** The CI service running us, `unknown` if only $CI says so, or null. */
+  ci: CIProvider|null;
+  /** $HEADLESS is set. */
+  headless: boolean;
+  display: DisplayServers;
+  /** Xvfb is on the PATH. */
+  xvfb: boolean;
+  /** The headless Wayland compositor `wayland-gui` would use, or null. */
+  waylandCompositor: WaylandCompositor|null;
+}
+
+// Below this Brave runs out of shared memory on larger pages. Docker gives
+// containers 64MB by default.
+export const MIN_SHM_SIZE = 512 * 1024 * 1024;
+
+// In order of precedence: CircleCI, for one, also sets CI.
+const CI_PROVIDERS: Array<[string, CIProvider]> = [
+  ['GITHUB_ACTIONS', 'github-actions'],
+  ['GITLAB_CI', 'gitlab'],
+  ['CIRCLECI', 'circleci'],
+  ['TRAVIS', 'travis'],
+  ['JENKINS_URL', 'jenkins'],
+  ['TF_BUILD', 'azure-pipelines'],
+  ['BUILDKITE', 'buildkite'],
+  ['BITBUCKET_BUILD_NUMBER', 'bitbucket'],
+  ['TEAMCITY_VERSION', 'teamcity'],
+  ['CODEBUILD_BUILD_ID', 'aws-codebuild'],
+  ['DRONE', 'drone'],
+  ['APPVEYOR', 'appveyor'],
+];
+
+function readFile(file: string) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return '';
+  }
+}
+
+export function isRoot(): boolean {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+/** Which container runtime we run under, from its marker files, cgroups and mounts. */
+export function detectContainer(env: Env = process.env): ContainerRuntime|null {
+  if (getPlatform() !== 'linux') {
+    return null;
+  }
+  // cgroup v1 names the runtime in our cgroup path. With cgroup v2 that is
+  // just "0::/", but the overlay our root is mounted from still gives it away.
+  const rootMount = readFile('/proc/self/mountinfo').split('\n').find(line => line.split(' ')[4] === '/');
+  const cgroups = readFile('/proc/self/cgroup') + (rootMount || '');
+
+  if (env.KUBERNETES_SERVICE_HOST || /kubepods/.test(cgroups)) {
+    return 'kubernetes';
+  }
+  if (fs.existsSync('/run/.containerenv') || env.container === 'podman' || /libpod/.test(cgroups)) {
+    return 'podman';
+  }
+  if (fs.existsSync('/.dockerenv') || /\/docker[/-]/.test(cgroups)) {
+    return 'docker';
+  }
+  if (env.container === 'lxc' || /\/lxc\//.test(cgroups)) {
+    return 'lxc';
+  }
+  // systemd-nspawn and others only set $container.
+  return env.container ? 'unknown' : null;
+}
+
+/** Size of /dev/shm in bytes, or null where there is none or it can't be told. */
+export function shmSize(): number|null {
+  if (getPlatform() !== 'linux') {
+    return null;
+  }
+  if (typeof fs.statfsSync === 'function') {
+    try {
+      const stats = fs.statfsSync('/dev/shm');
+      return stats.blocks * stats.bsize;
+    } catch (err) {
+      return null;
+    }
+  }
+  // Node before 18.15: a tmpfs size given at mount time, e.g. size=65536k.
+  const mount = readFile('/proc/mounts').split('\n').find(line => line.split(' ')[1] === '/dev/shm');
+  const size = mount && /\bsize=(\d+)([kmg]?)\b/i.exec(mount);
+  if (!size) {
+    return null;
+  }
+  const units: {[unit: string]: number} = {'': 1, 'k': 1024, 'm': 1024 ** 2, 'g': 1024 ** 3};
+  return Number(size[1]) * units[size[2].toLowerCase()];
+}
+
+export function detectCIProvider(env: Env = process.env): CIProvider|null {
+  const provider = CI_PROVIDERS.find(([variable]) => env[variable]);
+  if (provider) {
+    return provider[1];
+  }
+  return env.CI && env.CI !== 'false' ? 'unknown' : null;
+}
+
+/**
+ * Reports what about the machine and `env` matters for launching Brave: the
+ * container and CI we run in, root, shared memory and the displays there are.
+ * `launch({launchMode: 'auto'})` picks its mode and flags from it.
+ */
+export function detectEnvironment(env: Env = process.env): EnvironmentReport {
+  const platform = getPlatform();
+  const linux = platform === 'linux';
+  const wsl = platform === 'wsl';
+  return {
+    platform,
+    container: detectContainer(env),
+    root: isRoot(),
+    shmSize: shmSize(),
+    wsl,
+    wslg: wsl && fs.existsSync('/mnt/wslg') && !!(env.DISPLAY || env.WAYLAND_DISPLAY),
+    ci: detectCIProvider(env),
+    headless: !!env.HEADLESS,
+    display: detectDisplayServers(env),
+    xvfb: linux && isXvfbAvailable(),
+    waylandCompositor: findCompositor(),
+  };
+}
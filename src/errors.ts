@@ -28,12 +28,24 @@ export enum ErrorCategory {
   // System errors
   PLATFORM_UNSUPPORTED = 'PLATFORM_UNSUPPORTED',
   XVFB_FAILED = 'XVFB_FAILED',
+  WAYLAND_FAILED = 'WAYLAND_FAILED',
   INSUFFICIENT_PERMISSIONS = 'INSUFFICIENT_PERMISSIONS',
   
   // Configuration errors
   INVALID_CONFIG = 'INVALID_CONFIG',
   INVALID_FLAGS = 'INVALID_FLAGS',
   
+  // DevTools protocol errors
+  PROTOCOL_ERROR = 'PROTOCOL_ERROR',
+  
+  // Pool errors
+  POOL_EXHAUSTED = 'POOL_EXHAUSTED',
+  POOL_CLOSED = 'POOL_CLOSED',
+  
+  // Profile errors
+  PROFILE_LOCKED = 'PROFILE_LOCKED',
+  PROFILE_ERROR = 'PROFILE_ERROR',
+  
   // Unknown
   UNKNOWN_ERROR = 'UNKNOWN_ERROR',
 }
@@ -63,6 +75,8 @@ export class LauncherError extends Error {
   public readonly timestamp: Date;
   public readonly context?: Record<string, any>;
   public readonly suggestedAction?: string;
+  /** Legacy `ERR_LAUNCHER_*` code, set by the chrome-launcher compatible subclasses */
+  public code?: string;
 
   constructor(
     message: string,
@@ -123,7 +137,7 @@ export function createBrowserNotFoundError(
     ErrorSeverity.CRITICAL,
     false,
     { searchPaths },
-    'Install Brave or Chrome browser, or provide a custom path using chromePath option.'
+    'Install Brave or Chrome browser, or provide a custom path using bravePath option.'
   );
 }
 
@@ -165,14 +179,15 @@ export function createLaunchFailedError(
  * Create launch timeout error
  */
 export function createLaunchTimeoutError(
-  timeout: number
+  timeout: number,
+  context?: Record<string, any>
 ): LauncherError {
   return new LauncherError(
     `Browser launch timed out after ${timeout}ms`,
     ErrorCategory.LAUNCH_TIMEOUT,
     ErrorSeverity.HIGH,
     true,
-    { timeout },
+    { timeout, ...context },
     'Increase timeout value or check system resources.'
   );
 }
@@ -197,34 +212,84 @@ export function createPortAllocationError(
  * Create port in use error
  */
 export function createPortInUseError(
-  port: number
+  port: number,
+  context?: Record<string, any>
 ): LauncherError {
   return new LauncherError(
     `Port ${port} is already in use`,
     ErrorCategory.PORT_IN_USE,
     ErrorSeverity.MEDIUM,
     true,
-    { port },
+    { port, ...context },
     'Use a different port or close the application using this port.'
   );
 }
 
+/**
+ * Create error for portStrictMode when nothing usable listens on the port
+ */
+export function createNoBrowserAtPortError(
+  port: number,
+  reason?: string
+): LauncherError {
+  return new LauncherError(
+    `Found no Brave at port ${port}${reason ? `: ${reason}` : ''}`,
+    ErrorCategory.BROWSER_NOT_FOUND,
+    ErrorSeverity.HIGH,
+    false,
+    { port, reason },
+    'Start Brave with --remote-debugging-port first, or disable portStrictMode.'
+  );
+}
+
 /**
  * Create process crashed error
  */
 export function createProcessCrashedError(
-  exitCode?: number
+  exitCode?: number | null,
+  signal?: string | null,
+  context?: Record<string, any>
 ): LauncherError {
+  let reason = '';
+  if (signal) {
+    reason = ` with signal ${signal}`;
+  } else if (exitCode !== undefined && exitCode !== null) {
+    reason = ` with exit code ${exitCode}`;
+  }
   return new LauncherError(
-    `Browser process crashed${exitCode !== undefined ? ` with exit code ${exitCode}` : ''}`,
+    `Browser process crashed${reason}`,
     ErrorCategory.PROCESS_CRASHED,
     ErrorSeverity.CRITICAL,
     true,
-    { exitCode },
+    { exitCode, signal, ...context },
     'Check browser logs and system resources. Try relaunching.'
   );
 }
 
+/**
+ * Create the final error of a launch that was retried, recording every attempt
+ */
+export function createRetriesExhaustedError(
+  errors: LauncherError[]
+): LauncherError {
+  const last = errors[errors.length - 1];
+  return new LauncherError(
+    `Browser launch failed after ${errors.length} attempt${errors.length === 1 ? '' : 's'}: ${last.message}`,
+    last.category,
+    last.severity,
+    false,
+    {
+      attempts: errors.map((error, index) => ({
+        attempt: index + 1,
+        category: error.category,
+        message: error.message,
+        context: error.context,
+      })),
+    },
+    last.suggestedAction
+  );
+}
+
 /**
  * Create platform unsupported error
  */
@@ -251,12 +316,126 @@ export function createXvfbError(
     `Xvfb initialization failed: ${originalError.message}`,
     ErrorCategory.XVFB_FAILED,
     ErrorSeverity.MEDIUM,
-    false,
+    true,
     { originalError: originalError.message },
     'Install Xvfb on Linux: sudo apt-get install xvfb'
   );
 }
 
+/**
+ * Create Wayland compositor error
+ */
+export function createWaylandError(
+  originalError: Error
+): LauncherError {
+  return new LauncherError(
+    `Wayland compositor failed: ${originalError.message}`,
+    ErrorCategory.WAYLAND_FAILED,
+    ErrorSeverity.MEDIUM,
+    true,
+    { originalError: originalError.message },
+    'Install a headless-capable compositor on Linux: sudo apt-get install weston'
+  );
+}
+
+/**
+ * Create error for a Wayland compositor that is not installed
+ */
+export function createCompositorNotFoundError(
+  compositor?: string
+): LauncherError {
+  return new LauncherError(
+    `Wayland compositor failed: ${compositor || 'weston or cage'} is not installed`,
+    ErrorCategory.WAYLAND_FAILED,
+    ErrorSeverity.HIGH,
+    false,
+    { compositor },
+    'Install a headless-capable compositor on Linux: sudo apt-get install weston'
+  );
+}
+
+/**
+ * Create DevTools protocol error
+ */
+export function createProtocolError(
+  message: string,
+  context?: Record<string, any>
+): LauncherError {
+  return new LauncherError(
+    message,
+    ErrorCategory.PROTOCOL_ERROR,
+    ErrorSeverity.MEDIUM,
+    false,
+    context,
+    'Check the method and parameters against the DevTools protocol and that the browser is still running.'
+  );
+}
+
+/**
+ * Create pool exhausted error
+ */
+export function createPoolExhaustedError(
+  max: number,
+  timeout: number
+): LauncherError {
+  return new LauncherError(
+    `No browser became available in the pool (max ${max}) within ${timeout}ms`,
+    ErrorCategory.POOL_EXHAUSTED,
+    ErrorSeverity.MEDIUM,
+    true,
+    { max, timeout },
+    'Release leases sooner, or raise the pool\'s max or acquireTimeout.'
+  );
+}
+
+/**
+ * Create pool closed error
+ */
+export function createPoolClosedError(): LauncherError {
+  return new LauncherError(
+    'The browser pool has been drained or shut down',
+    ErrorCategory.POOL_CLOSED,
+    ErrorSeverity.MEDIUM,
+    false,
+    undefined,
+    'Create a new BravePool.'
+  );
+}
+
+/**
+ * Create profile locked error
+ */
+export function createProfileLockedError(
+  profile: string,
+  ownerPid: number|null
+): LauncherError {
+  return new LauncherError(
+    `Profile '${profile}' is in use${ownerPid ? ` by process ${ownerPid}` : ''}`,
+    ErrorCategory.PROFILE_LOCKED,
+    ErrorSeverity.MEDIUM,
+    false,
+    { profile, ownerPid },
+    'Close the browser using the profile first, or clone it and launch the copy.'
+  );
+}
+
+/**
+ * Create profile error
+ */
+export function createProfileError(
+  profile: string,
+  reason: string
+): LauncherError {
+  return new LauncherError(
+    `Profile '${profile}': ${reason}`,
+    ErrorCategory.PROFILE_ERROR,
+    ErrorSeverity.MEDIUM,
+    false,
+    { profile, reason },
+    'Check the profile name and the permissions of the profiles directory.'
+  );
+}
+
 /**
  * Create invalid config error
  */
@@ -279,14 +458,16 @@ export function createInvalidConfigError(
  * Create invalid flags error
  */
 export function createInvalidFlagsError(
-  invalidFlags: string[]
+  invalidFlags: string[],
+  reasons?: string[]
 ): LauncherError {
+  const details = reasons && reasons.length ? ` (${reasons.join('; ')})` : '';
   return new LauncherError(
-    `Invalid browser flags: ${invalidFlags.join(', ')}`,
+    `Invalid browser flags: ${invalidFlags.join(', ')}${details}`,
     ErrorCategory.INVALID_FLAGS,
     ErrorSeverity.MEDIUM,
     false,
-    { invalidFlags },
+    { invalidFlags, reasons },
     'Check browser flag syntax and compatibility.'
   );
 }
@@ -429,6 +610,12 @@ export function getRecoveryStrategy(error: LauncherError): string | null {
     case ErrorCategory.PROCESS_CRASHED:
       return 'relaunch_browser';
     
+    case ErrorCategory.XVFB_FAILED:
+      return 'restart_xvfb';
+
+    case ErrorCategory.WAYLAND_FAILED:
+      return 'restart_display';
+    
     default:
       return 'retry_operation';
   }
@@ -0,0 +1,223 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {DEFAULT_FLAGS} from './flags.js';
+
+const ENABLE_FEATURES = '--enable-features';
+const DISABLE_FEATURES = '--disable-features';
+
+/** Turns `disable-extensions`, `--disable-extensions` or `--foo=bar` into the bare switch name. */
+function switchName(flag: string) {
+  const name = flag.split('=')[0];
+  return name.startsWith('-') ? name : `--${name}`;
+}
+
+// `--name` or `--name=value`; Brave also accepts a single dash on POSIX.
+const SWITCH_SYNTAX = /^--?[a-zA-Z0-9][\w.-]*(=[\s\S]*)?$/;
+
+export interface FlagProblem {
+  flag: string;
+  kind: 'syntax'|'duplicate'|'conflict';
+  message: string;
+}
+
+/**
+ * Checks user-supplied flags for malformed entries, switches given more than
+ * once and features both enabled and disabled. `managed` maps switches the
+ * caller controls itself to why they must not be passed.
+ */
+export function findFlagProblems(
+    flags: readonly string[], managed: {[switchName: string]: string} = {}): FlagProblem[] {
+  const problems: FlagProblem[] = [];
+  const seen = new Map<string, string>();
+  const enabled = new Set<string>();
+  const disabled = new Set<string>();
+
+  for (const flag of flags) {
+    if (typeof flag !== 'string' || !flag.trim()) {
+      problems.push({flag: String(flag), kind: 'syntax', message: `${JSON.stringify(flag)} is not a flag`});
+      continue;
+    }
+    if (!flag.startsWith('-')) {
+      continue;
+    }
+    if (!SWITCH_SYNTAX.test(flag)) {
+      problems.push({
+        flag,
+        kind: 'syntax',
+        message: `${flag} is not of the form --name or --name=value`,
+      });
+      continue;
+    }
+
+    const name = switchName(flag);
+    if (Object.prototype.hasOwnProperty.call(managed, name)) {
+      problems.push({flag, kind: 'conflict', message: `${flag} ${managed[name]}`});
+    }
+
+    const value = flag.slice(name.length + 1);
+    if (name === ENABLE_FEATURES || name === DISABLE_FEATURES) {
+      const [own, other] = name === ENABLE_FEATURES ? [enabled, disabled] : [disabled, enabled];
+      for (const feature of value.split(',').filter(Boolean)) {
+        if (other.has(feature)) {
+          problems.push({
+            flag,
+            kind: 'conflict',
+            message: `feature ${feature} is both enabled and disabled`,
+          });
+        }
+        own.add(feature);
+      }
+      continue;
+    }
+
+    const previous = seen.get(name);
+    if (previous !== undefined) {
+      problems.push(previous === flag ?
+          {flag, kind: 'duplicate', message: `${flag} is given twice`} :
+          {
+            flag,
+            kind: 'conflict',
+            message: `${previous} and ${flag} contradict each other; the last one wins`,
+          });
+    }
+    seen.set(name, flag);
+  }
+
+  return problems;
+}
+
+function quote(arg: string) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `"${arg.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * An ordered set of command line switches. Unlike a plain array, a switch
+ * given twice keeps one entry (the last value wins, as in Brave), while
+ * `--enable-features` and `--disable-features` lists are merged.
+ */
+export class FlagSet {
+  // Insertion ordered; the feature switches hold a placeholder for their position.
+  private switches = new Map<string, string|null>();
+  private args: string[] = [];
+  private enabled = new Set<string>();
+  private disabled = new Set<string>();
+
+  constructor(flags: readonly string[] = []) {
+    this.add(...flags);
+  }
+
+  /** A FlagSet of `DEFAULT_FLAGS`. */
+  static defaults(): FlagSet {
+    return new FlagSet(DEFAULT_FLAGS);
+  }
+
+  /** Adds `--name`, `--name=value` or a non-switch argument such as a URL. */
+  add(...flags: string[]): this {
+    for (const flag of flags) {
+      if (!flag.startsWith('-')) {
+        this.args.push(flag);
+        continue;
+      }
+      const name = switchName(flag);
+      const value = flag.includes('=') ? flag.slice(flag.indexOf('=') + 1) : null;
+      if (name === ENABLE_FEATURES) {
+        this.enableFeatures(...(value || '').split(','));
+      } else if (name === DISABLE_FEATURES) {
+        this.disableFeatures(...(value || '').split(','));
+      } else {
+        this.switches.set(name, value);
+      }
+    }
+    return this;
+  }
+
+  has(name: string): boolean {
+    return this.switches.has(switchName(name));
+  }
+
+  /** The switch's value, `null` for a switch without one, `undefined` if absent. */
+  get(name: string): string|null|undefined {
+    return this.switches.get(switchName(name));
+  }
+
+  /** Removes switches by name; removing a feature switch drops its whole list. */
+  remove(...names: string[]): this {
+    for (const name of names.map(switchName)) {
+      this.switches.delete(name);
+      if (name === ENABLE_FEATURES) this.enabled.clear();
+      if (name === DISABLE_FEATURES) this.disabled.clear();
+    }
+    return this;
+  }
+
+  enableFeatures(...features: string[]): this {
+    for (const feature of features.filter(Boolean)) {
+      this.disabled.delete(feature);
+      this.enabled.add(feature);
+    }
+    this.placeFeatureSwitch(ENABLE_FEATURES);
+    return this;
+  }
+
+  disableFeatures(...features: string[]): this {
+    for (const feature of features.filter(Boolean)) {
+      this.enabled.delete(feature);
+      this.disabled.add(feature);
+    }
+    this.placeFeatureSwitch(DISABLE_FEATURES);
+    return this;
+  }
+
+  /** Drops features from both lists, leaving them at Brave's default. */
+  removeFeatures(...features: string[]): this {
+    for (const feature of features) {
+      this.enabled.delete(feature);
+      this.disabled.delete(feature);
+    }
+    return this;
+  }
+
+  get enabledFeatures(): string[] {
+    return [...this.enabled];
+  }
+
+  get disabledFeatures(): string[] {
+    return [...this.disabled];
+  }
+
+  toArray(): string[] {
+    const flags: string[] = [];
+    for (const [name, value] of this.switches) {
+      const features = name === ENABLE_FEATURES ? this.enabled :
+          name === DISABLE_FEATURES                ? this.disabled :
+                                                     undefined;
+      if (features) {
+        if (features.size) flags.push(`${name}=${[...features].join(',')}`);
+      } else {
+        flags.push(value === null ? name : `${name}=${value}`);
+      }
+    }
+    return flags.concat(this.args);
+  }
+
+  /** The flags as a shell-quoted command line, prefixed by `execPath` if given. */
+  commandLine(execPath?: string): string {
+    const args = execPath === undefined ? this.toArray() : [execPath, ...this.toArray()];
+    return args.map(quote).join(' ');
+  }
+
+  toString(): string {
+    return this.commandLine();
+  }
+
+  private placeFeatureSwitch(name: string) {
+    if (!this.switches.has(name)) {
+      this.switches.set(name, null);
+    }
+  }
+}
@@ -13,17 +13,118 @@ export {
   Launcher as BraveLauncher,
   Options,
   LaunchedBrave,
-  RemoteDebuggingPipes
+  RemoteDebuggingPipes,
+  ReadinessMode,
+  LaunchMode,
+  EffectiveLaunchMode,
+  RetryOptions,
+  SuperviseOptions,
+  CloseOptions,
+  KillResult,
+  LauncherEvents,
+  LauncherEventListener
 } from './brave-launcher.js';
 
 export {
-  XvfbManager,
-  XvfbOptions,
   detectDesktopEnvironment,
   getPlatform
 } from './utils.js';
 
+export {
+  VirtualDisplay,
+  XvfbManager,
+  XvfbOptions,
+  DisplayLease,
+  acquireDisplay,
+  stopSharedDisplays
+} from './virtual-display.js';
+
+export {
+  WaylandDisplay,
+  WaylandOptions,
+  WaylandCompositor,
+  DisplayServers,
+  detectDisplayServers,
+  ozoneFlags,
+  findCompositor,
+  waylandSocketPath
+} from './wayland.js';
+
+export {
+  EnvironmentReport,
+  ContainerRuntime,
+  CIProvider,
+  MIN_SHM_SIZE,
+  detectEnvironment
+} from './environment.js';
+
+export {
+  CDPConnection,
+  CDPSession,
+  CDPTransport,
+  WebSocketTransport,
+  PipeTransport,
+  BrowserVersionInfo,
+  getBrowserVersion
+} from './cdp.js';
+
+export {
+  LauncherError,
+  ErrorCategory,
+  ErrorSeverity,
+  categorizeError,
+  isRecoverableError,
+  getRecoveryStrategy,
+  createBrowserNotFoundError,
+  createInvalidBrowserPathError,
+  createLaunchFailedError,
+  createLaunchTimeoutError,
+  createPortAllocationError,
+  createPortInUseError,
+  createNoBrowserAtPortError,
+  createProcessCrashedError,
+  createRetriesExhaustedError,
+  createPlatformUnsupportedError,
+  createXvfbError,
+  createWaylandError,
+  createCompositorNotFoundError,
+  createProtocolError,
+  createPoolExhaustedError,
+  createPoolClosedError,
+  createProfileLockedError,
+  createProfileError,
+  createInvalidConfigError,
+  createInvalidFlagsError,
+  createInsufficientPermissionsError
+} from './errors.js';
+
+export {
+  BravePathNotSetError,
+  InvalidUserDataDirectoryError,
+  UnsupportedPlatformError,
+  BraveNotInstalledError,
+  XvfbNotFoundError
+} from './utils.js';
+
+export {BravePool, PoolOptions, BraveLease, ReleaseOptions} from './pool.js';
+
+export {
+  ProfileManager,
+  ProfileInfo,
+  ProfileMetadata,
+  ProfileLock,
+  defaultProfilesRoot
+} from './profiles.js';
+
+export {BraveSettings, translateBraveSettings} from './brave-settings.js';
+
+export {mergePrefs, removePrefs, JSONLike, PrefPath} from './prefs.js';
+
+export {reapOrphans, ReapOptions, OrphanProfile} from './reaper.js';
+
 export {DEFAULT_FLAGS} from './flags.js';
+export {FlagSet, FlagProblem, findFlagProblems} from './flag-set.js';
+export {resolvePreset, PRESET_NAMES, Preset, PresetName, PresetOptions, PresetSpec} from './presets.js';
 export {getRandomPort} from './random-port.js';
 
 // Also export everything from brave-finder for advanced usage
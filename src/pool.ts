@@ -0,0 +1,354 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {launch, LaunchedBrave, Options} from './brave-launcher.js';
+import {defaults, delay} from './utils.js';
+import log from './logger.js';
+import {LauncherError, categorizeError, createInvalidConfigError, createPoolClosedError, createPoolExhaustedError} from './errors.js';
+
+export interface PoolOptions {
+  /** Instances, idle or leased, kept running from `start()` on; recycled ones are replaced. Default: 0. */
+  min?: number;
+  /** Upper bound on idle plus leased instances. Default: 4. */
+  max?: number;
+  /** Options for every instance. `port` must be left unset. */
+  launchOptions?: Options;
+  /** Recycle an instance after this many leases. Default: 0 (never). */
+  maxUses?: number;
+  /** Recycle an instance this many ms after its launch. Default: 0 (never). */
+  maxAge?: number;
+  /** Check that an idle instance still answers CDP before leasing it. Default: true. */
+  healthCheck?: boolean;
+  /** How long the health check may take in ms. Default: 5000. */
+  healthCheckTimeout?: number;
+  /** How long `acquire()` waits for a free instance in ms. Default: 30000. */
+  acquireTimeout?: number;
+}
+
+export interface ReleaseOptions {
+  /** Kill the instance instead of returning it to the pool, e.g. after the job broke it. */
+  destroy?: boolean;
+}
+
+export interface BraveLease {
+  brave: LaunchedBrave;
+  /** Number of leases of this instance so far, including this one. */
+  uses: number;
+  release: (options?: ReleaseOptions) => Promise<void>;
+}
+
+interface PooledBrave {
+  brave: LaunchedBrave;
+  createdAt: number;
+  uses: number;
+  exited: boolean;
+  destroyed: boolean;
+}
+
+/**
+ * Keeps Brave instances warm and leases them out, so each job skips the
+ * startup cost. Instances are created with `launch()` and therefore take part
+ * in `killAll()` and the SIGINT handler like any other launched instance.
+ */
+export class BravePool {
+  private min: number;
+  private max: number;
+  private launchOptions: Options;
+  private maxUses: number;
+  private maxAge: number;
+  private healthCheck: boolean;
+  private healthCheckTimeout: number;
+  private acquireTimeout: number;
+
+  private idle: PooledBrave[] = [];
+  private leases = new Map<BraveLease, PooledBrave>();
+  // Launched but not yet idle or leased, and taken off `idle` for a health
+  // check or to be recycled: still counted in `size`.
+  private launching = 0;
+  private checking = 0;
+  private waiters: Array<() => void> = [];
+  private closed = false;
+
+  constructor(options: PoolOptions = {}) {
+    this.min = defaults(options.min, 0);
+    this.max = defaults(options.max, 4);
+    this.launchOptions = defaults(options.launchOptions, {});
+    this.maxUses = defaults(options.maxUses, 0);
+    this.maxAge = defaults(options.maxAge, 0);
+    this.healthCheck = defaults(options.healthCheck, true);
+    this.healthCheckTimeout = defaults(options.healthCheckTimeout, 5000);
+    this.acquireTimeout = defaults(options.acquireTimeout, 30000);
+
+    if (!Number.isInteger(this.max) || this.max < 1) {
+      throw createInvalidConfigError('max', 'an integer of at least 1', this.max);
+    }
+    if (!Number.isInteger(this.min) || this.min < 0 || this.min > this.max) {
+      throw createInvalidConfigError('min', `an integer between 0 and max (${this.max})`, this.min);
+    }
+    if (this.launchOptions.port) {
+      throw createInvalidConfigError('launchOptions.port', 'unset, pooled instances need their own ports', this.launchOptions.port);
+    }
+  }
+
+  /** Number of instances, whether idle, leased, still launching or being checked. */
+  get size() {
+    return this.idle.length + this.leases.size + this.launching + this.checking;
+  }
+
+  get available() {
+    return this.idle.length;
+  }
+
+  get borrowed() {
+    return this.leases.size;
+  }
+
+  /** Launches instances until `min` of them are warm. */
+  async start(): Promise<void> {
+    await this.fill();
+  }
+
+  /**
+   * Leases an idle instance, launching one if there is none and the pool is
+   * below `max`. Otherwise waits up to `acquireTimeout` for a release.
+   */
+  async acquire(): Promise<BraveLease> {
+    const deadline = Date.now() + this.acquireTimeout;
+
+    for (;;) {
+      if (this.closed) {
+        throw createPoolClosedError();
+      }
+
+      const entry = this.idle.shift();
+      if (entry) {
+        this.checking++;
+        try {
+          if (!this.shouldRecycle(entry) && await this.isHealthy(entry) && !this.closed) {
+            return this.lease(entry);
+          }
+          await this.destroy(entry);
+        } finally {
+          this.checking--;
+          this.notify();
+        }
+        continue;
+      }
+
+      if (this.size < this.max) {
+        const created = await this.create();
+        if (this.closed) {
+          // shutdown() or drain() did not see this one.
+          await this.destroy(created);
+          this.launching--;
+          this.notify();
+          throw createPoolClosedError();
+        }
+        this.launching--;
+        return this.lease(created);
+      }
+
+      await this.waitForChange(deadline);
+    }
+  }
+
+  /**
+   * Returns a leased instance to the pool, or kills it once it has reached
+   * `maxUses` or `maxAge`, exited, or `destroy` is set.
+   */
+  async release(lease: BraveLease, {destroy = false}: ReleaseOptions = {}): Promise<void> {
+    const entry = this.leases.get(lease);
+    if (!entry) {
+      log.warn('BraveLauncher', 'Ignoring release of a lease that is not held');
+      return;
+    }
+    this.leases.delete(lease);
+
+    if (destroy || this.closed || this.shouldRecycle(entry)) {
+      await this.destroy(entry);
+      this.refill();
+      return;
+    }
+
+    this.idle.push(entry);
+    this.notify();
+  }
+
+  /**
+   * Stops leasing, waits for every outstanding lease to be released and then
+   * kills all instances. Resolves with the errors of instances that could not
+   * be killed, like `killAll()`.
+   */
+  async drain(): Promise<LauncherError[]> {
+    this.close();
+    while (this.leases.size || this.launching || this.checking) {
+      await this.waitForChange(Infinity);
+    }
+    return this.killEntries(this.idle.splice(0));
+  }
+
+  /**
+   * Kills every instance right away, including leased ones. Resolves with the
+   * errors of instances that could not be killed, like `killAll()`.
+   */
+  async shutdown(): Promise<LauncherError[]> {
+    this.close();
+    const entries = [...this.idle.splice(0), ...this.leases.values()];
+    this.leases.clear();
+    return this.killEntries(entries);
+  }
+
+  private close() {
+    this.closed = true;
+    // Pending acquire() calls re-check `closed` and reject.
+    this.notify();
+  }
+
+  private async killEntries(entries: PooledBrave[]): Promise<LauncherError[]> {
+    const errors: LauncherError[] = [];
+    await Promise.all(entries.map(async entry => {
+      entry.destroyed = true;
+      try {
+        await entry.brave.kill();
+      } catch (err) {
+        errors.push(categorizeError(err));
+      }
+    }));
+    return errors;
+  }
+
+  private lease(entry: PooledBrave): BraveLease {
+    entry.uses++;
+    const lease: BraveLease = {
+      brave: entry.brave,
+      uses: entry.uses,
+      release: options => this.release(lease, options),
+    };
+    this.leases.set(lease, entry);
+    return lease;
+  }
+
+  // The new instance stays counted in `launching` until the caller has put it
+  // in `idle` or leased it out, so `size` never undercounts in between.
+  private async create(): Promise<PooledBrave> {
+    this.launching++;
+    let brave: LaunchedBrave;
+    try {
+      brave = await launch({...this.launchOptions});
+    } catch (err) {
+      this.launching--;
+      // The slot is free again for whoever waits.
+      this.notify();
+      throw err;
+    }
+
+    const entry: PooledBrave = {brave, createdAt: Date.now(), uses: 0, exited: false, destroyed: false};
+    brave.once('exit', () => {
+      entry.exited = true;
+      // An idle instance that died is replaced right away.
+      const index = this.idle.indexOf(entry);
+      if (index !== -1 && !entry.destroyed) {
+        log.warn('BraveLauncher', `Pooled Brave ${brave.pid} exited while idle, replacing it`);
+        this.idle.splice(index, 1);
+        this.destroy(entry).then(() => this.refill());
+      }
+    });
+    log.verbose('BraveLauncher', `Pool launched Brave ${brave.pid} (${this.size}/${this.max})`);
+    return entry;
+  }
+
+  private async destroy(entry: PooledBrave) {
+    if (entry.destroyed) {
+      return;
+    }
+    entry.destroyed = true;
+    try {
+      await entry.brave.kill();
+    } catch (err) {
+      log.warn('BraveLauncher', `Could not kill pooled Brave ${entry.brave.pid}: ${err.message}`);
+    }
+    this.notify();
+  }
+
+  private async fill() {
+    const missing = this.min - this.size;
+    if (this.closed || missing <= 0) {
+      return;
+    }
+    // Settle every launch, so the ones that did start are kept (or killed)
+    // even when another fails.
+    const results = await Promise.all(Array.from({length: missing}, () => this.create().then(
+        entry => ({entry, error: undefined}), (error: Error) => ({entry: undefined, error}))));
+    const entries = results.filter(result => result.entry).map(result => result.entry!);
+    const failed = results.find(result => result.error);
+
+    if (this.closed) {
+      await this.killEntries(entries);
+    } else {
+      this.idle.push(...entries);
+    }
+    this.launching -= entries.length;
+    this.notify();
+    if (failed) {
+      throw failed.error;
+    }
+  }
+
+  // Keeps `min` instances warm after one was recycled, without blocking the caller.
+  private refill() {
+    this.fill().catch(err => {
+      log.warn('BraveLauncher', `Could not refill the pool: ${err.message}`);
+    });
+  }
+
+  private shouldRecycle(entry: PooledBrave) {
+    return entry.exited || (this.maxUses > 0 && entry.uses >= this.maxUses) ||
+        (this.maxAge > 0 && Date.now() - entry.createdAt >= this.maxAge);
+  }
+
+  // resolves true if the browser answers Browser.getVersion in time
+  private async isHealthy(entry: PooledBrave): Promise<boolean> {
+    if (!this.healthCheck) {
+      return true;
+    }
+    try {
+      await Promise.race([
+        entry.brave.connect().then(session => session.send('Browser.getVersion')),
+        delay(this.healthCheckTimeout).then(() => {
+          throw new Error(`no response within ${this.healthCheckTimeout}ms`);
+        }),
+      ]);
+      return true;
+    } catch (err) {
+      log.warn('BraveLauncher', `Pooled Brave ${entry.brave.pid} failed its health check: ${err.message}`);
+      return false;
+    }
+  }
+
+  // resolves on the next release, kill or launch; rejects at the deadline
+  private waitForChange(deadline: number): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let timer: NodeJS.Timeout|undefined;
+      const waiter = () => {
+        if (timer) clearTimeout(timer);
+        resolve();
+      };
+      if (deadline !== Infinity) {
+        timer = setTimeout(() => {
+          this.waiters = this.waiters.filter(w => w !== waiter);
+          reject(createPoolExhaustedError(this.max, this.acquireTimeout));
+        }, Math.max(0, deadline - Date.now()));
+      }
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Every waiter re-checks the pool; those that find nothing wait again.
+  private notify() {
+    this.waiters.splice(0).forEach(waiter => waiter());
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as fs from 'fs';
+
+export type JSONLike =|{[property: string]: JSONLike}|readonly JSONLike[]|string|number|boolean|null;
+
+export type JSONObject = {[property: string]: JSONLike};
+
+/**
+ * A pref to delete: a dotted path such as `brave.shields.ads`, or the path
+ * segments when a key itself contains dots, e.g. `['profile', 'content_settings',
+ * 'exceptions', 'cookies', 'https://a.com,*']`.
+ */
+export type PrefPath = string|string[];
+
+function isObject(value: JSONLike|undefined): value is JSONObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merges `overrides` into `base` without modifying either. Objects are merged
+ * key by key; arrays and other values in `overrides` replace what is in `base`.
+ */
+export function mergePrefs(base: JSONObject, overrides: JSONObject): JSONObject {
+  const merged: JSONObject = {...base};
+  for (const [key, value] of Object.entries(overrides)) {
+    const current = merged[key];
+    merged[key] = isObject(current) && isObject(value) ? mergePrefs(current, value) : value;
+  }
+  return merged;
+}
+
+/** Deletes each path from `prefs` in place. Paths that do not exist are ignored. */
+export function removePrefs(prefs: JSONObject, paths: PrefPath[]) {
+  for (const path of paths) {
+    const segments = typeof path === 'string' ? path.split('.') : path;
+    let parent: JSONLike|undefined = prefs;
+    for (const segment of segments.slice(0, -1)) {
+      parent = isObject(parent) ? parent[segment] : undefined;
+    }
+    if (isObject(parent)) {
+      delete parent[segments[segments.length - 1]];
+    }
+  }
+}
+
+/**
+ * Deletes the `remove` paths from the JSON file at `file`, then merges `prefs`
+ * into it, creating the file if needed. Removing first lets a subtree be
+ * replaced as a whole. Throws if the existing file is not valid JSON.
+ */
+export function updatePrefsFile(
+    fsImpl: typeof fs, file: string, prefs: JSONObject, remove: PrefPath[] = []) {
+  let content: JSONObject = {};
+  if (fsImpl.existsSync(file)) {
+    const parsed = JSON.parse(fsImpl.readFileSync(file, 'utf-8'));
+    if (isObject(parsed)) {
+      content = parsed;
+    }
+  }
+
+  removePrefs(content, remove);
+  fsImpl.writeFileSync(file, JSON.stringify(mergePrefs(content, prefs)), 'utf-8');
+}
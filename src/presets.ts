@@ -0,0 +1,120 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {BraveSettings} from './brave-settings.js';
+import type {LaunchMode} from './brave-launcher.js';
+import {createInvalidConfigError} from './errors.js';
+import {isRoot} from './environment.js';
+
+export type PresetName = 'ci'|'scraping'|'performance-audit'|'screenshot'|'privacy-max';
+
+export interface PresetOptions {
+  /** `scraping` only: load images. Default: false. */
+  images?: boolean;
+}
+
+/** A preset by name, or by name with its options. */
+export type PresetSpec = PresetName|({name: PresetName}&PresetOptions);
+
+/**
+ * What a preset contributes to a launch. `braveFlags` go before the user's
+ * own, so user flags win; `braveSettings` and `launchMode` apply unless the
+ * user sets them.
+ */
+export interface Preset {
+  name: PresetName;
+  description: string;
+  braveFlags: string[];
+  braveSettings: BraveSettings;
+  launchMode?: LaunchMode;
+}
+
+const PRESETS: {[name in PresetName]: (options: PresetOptions) => Preset} = {
+  'ci': () => ({
+    name: 'ci',
+    description: 'Headless for CI containers',
+    braveFlags: [
+      // /dev/shm is 64MB in Docker by default, too small for Brave.
+      '--disable-dev-shm-usage',
+      // The sandbox refuses to run as root.
+      ...(isRoot() ? ['--no-sandbox'] : []),
+    ],
+    braveSettings: {},
+    launchMode: 'headless-new',
+  }),
+
+  'scraping': ({images = false}) => ({
+    name: 'scraping',
+    description: 'Aggressive Shields, images only on request',
+    braveFlags: images ? [] : ['--blink-settings=imagesEnabled=false'],
+    braveSettings: {shields: 'aggressive'},
+  }),
+
+  // DEFAULT_FLAGS already carry Lighthouse's throttling and background
+  // networking switches; this adds its interactivity suppression. Shields are
+  // off so the page is measured as published.
+  'performance-audit': () => ({
+    name: 'performance-audit',
+    description: 'Lighthouse runs without prompts or Shields',
+    braveFlags: [
+      '--disable-search-engine-choice-screen',
+      '--ash-no-nudges',
+      '--deny-permission-prompts',
+      '--disable-notifications',
+      '--noerrdialogs',
+    ],
+    braveSettings: {shields: 'off'},
+  }),
+
+  'screenshot': () => ({
+    name: 'screenshot',
+    description: 'Reproducible screenshots at 1920x1080',
+    braveFlags: [
+      '--window-size=1920,1080',
+      '--force-device-scale-factor=1',
+      '--hide-scrollbars',
+      '--force-color-profile=srgb',
+      '--font-render-hinting=none',
+      '--disable-lcd-text',
+    ],
+    braveSettings: {},
+    launchMode: 'headless',
+  }),
+
+  'privacy-max': () => ({
+    name: 'privacy-max',
+    description: 'Strictest Shields and no Brave services',
+    braveFlags: [
+      '--no-pings',
+      '--webrtc-ip-handling-policy=disable_non_proxied_udp',
+    ],
+    braveSettings: {
+      shields: 'aggressive',
+      fingerprinting: 'strict',
+      cookies: 'block-all',
+      httpsUpgrade: 'strict',
+      searchEngine: 'brave',
+      ads: false,
+      rewards: false,
+      wallet: false,
+      news: false,
+      vpn: false,
+      leo: false,
+    },
+  }),
+};
+
+export const PRESET_NAMES = Object.keys(PRESETS) as PresetName[];
+
+/** Returns what the preset contributes to a launch, e.g. to inspect it. */
+export function resolvePreset(spec: PresetSpec): Preset {
+  const {name, ...options} = typeof spec === 'string' ? {name: spec} : spec;
+  if (!Object.prototype.hasOwnProperty.call(PRESETS, name)) {
+    throw createInvalidConfigError('preset', `one of ${PRESET_NAMES.join(', ')}`, name);
+  }
+  return PRESETS[name](options);
+}
@@ -0,0 +1,310 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {homedir, hostname} from 'os';
+import {spawnSync} from 'child_process';
+import {copyProfileDirSync, isProcessAlive, removeDirSync} from './utils.js';
+import log from './logger.js';
+import {createProfileError, createProfileLockedError} from './errors.js';
+
+const METADATA_FILE = 'profile.json';
+const LOCK_FILE = 'profile.lock';
+const USER_DATA_DIR = 'user-data';
+
+export interface ProfileMetadata {
+  name: string;
+  /** ISO timestamp of the profile's creation. */
+  createdAt: string;
+  /** ISO timestamp of the last launch, `null` if never launched. */
+  lastUsedAt: string|null;
+  /**
+   * Brave version of the last launch as reported by `brave --version`, e.g.
+   * `1.70.117`. `null` if never launched or where it can't be told.
+   */
+  lastBraveVersion: string|null;
+}
+
+export interface ProfileInfo extends ProfileMetadata {
+  /** The directory Brave is launched with as `--user-data-dir`. */
+  userDataDir: string;
+  locked: boolean;
+  /** Process holding the lock, if any. */
+  lockedBy: number|null;
+}
+
+export interface ProfileLock {
+  /** Records the Brave using the profile, whose life keeps the lock held. */
+  setBrowserPid: (pid: number) => void;
+  release: () => void;
+}
+
+/** Where named profiles live unless a root is given: $BRAVE_PROFILES_DIR or ~/.brave-real-launcher/profiles. */
+export function defaultProfilesRoot(): string {
+  return process.env.BRAVE_PROFILES_DIR ||
+      path.join(homedir(), '.brave-real-launcher', 'profiles');
+}
+
+/**
+ * Persistent named profiles under one root directory. Each profile is a
+ * directory holding Brave's user data dir, `profile.json` with its metadata
+ * and, while a browser uses it, `profile.lock`.
+ */
+export class ProfileManager {
+  readonly root: string;
+
+  constructor(root: string = defaultProfilesRoot()) {
+    this.root = path.resolve(root);
+  }
+
+  userDataDir(name: string): string {
+    return path.join(this.profileDir(name), USER_DATA_DIR);
+  }
+
+  /** Returns the profile, creating it first if it does not exist. */
+  create(name: string): ProfileInfo {
+    const dir = this.profileDir(name);
+    fs.mkdirSync(path.join(dir, USER_DATA_DIR), {recursive: true});
+    if (!fs.existsSync(path.join(dir, METADATA_FILE))) {
+      this.writeMetadata(name, {
+        name,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        lastBraveVersion: null,
+      });
+      log.verbose('BraveLauncher', `Created profile ${name} in ${dir}`);
+    }
+    return this.get(name)!;
+  }
+
+  get(name: string): ProfileInfo|undefined {
+    const dir = this.profileDir(name);
+    if (!fs.existsSync(path.join(dir, USER_DATA_DIR))) {
+      return undefined;
+    }
+    const lockedBy = this.lockOwner(name);
+    return {
+      ...this.readMetadata(name),
+      userDataDir: this.userDataDir(name),
+      locked: lockedBy !== undefined,
+      lockedBy: lockedBy || null,
+    };
+  }
+
+  list(): ProfileInfo[] {
+    let entries: string[];
+    try {
+      entries = fs.readdirSync(this.root);
+    } catch (err) {
+      return [];
+    }
+    return entries.filter(isValidName)
+        .map(name => this.get(name))
+        .filter((profile): profile is ProfileInfo => profile !== undefined)
+        .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /** Copies `source` to the new profile `target`. The source must not be in use. */
+  clone(source: string, target: string): ProfileInfo {
+    this.assertExists(source);
+    this.assertUnlocked(source);
+    if (this.get(target)) {
+      throw createProfileError(target, 'already exists');
+    }
+
+    copyProfileDirSync(this.userDataDir(source), this.userDataDir(target));
+    const metadata = this.readMetadata(source);
+    this.writeMetadata(target, {...metadata, name: target, createdAt: new Date().toISOString()});
+    log.verbose('BraveLauncher', `Cloned profile ${source} to ${target}`);
+    return this.get(target)!;
+  }
+
+  /** Wipes the browser data of a profile, keeping its name and creation time. */
+  reset(name: string): ProfileInfo {
+    this.assertExists(name);
+    this.assertUnlocked(name);
+
+    const userDataDir = this.userDataDir(name);
+    removeDirSync(userDataDir);
+    fs.mkdirSync(userDataDir, {recursive: true});
+    this.writeMetadata(name, {...this.readMetadata(name), lastUsedAt: null, lastBraveVersion: null});
+    log.verbose('BraveLauncher', `Reset profile ${name}`);
+    return this.get(name)!;
+  }
+
+  /** Writes the profile, metadata included, to a gzipped tarball at `file`. */
+  exportTarball(name: string, file: string): string {
+    this.assertExists(name);
+    this.assertUnlocked(name);
+
+    const tarball = path.resolve(file);
+    const result = spawnSync(
+        'tar', ['-czf', tarball, '--exclude', LOCK_FILE, '-C', this.root, name],
+        {encoding: 'utf-8'});
+    if (result.error || result.status !== 0) {
+      const reason = result.error ? result.error.message : result.stderr.trim();
+      throw createProfileError(name, `export to ${tarball} failed: ${reason}`);
+    }
+    return tarball;
+  }
+
+  delete(name: string): void {
+    this.assertExists(name);
+    this.assertUnlocked(name);
+    removeDirSync(this.profileDir(name));
+    log.verbose('BraveLauncher', `Deleted profile ${name}`);
+  }
+
+  /**
+   * Takes the profile's lock for this process. Throws PROFILE_LOCKED while
+   * another live process holds it, or the Brave it launched still runs, e.g.
+   * after the launching process was killed, or Brave's SingletonLock names a
+   * live process. Only a lock left behind by both is taken over.
+   */
+  lock(name: string): ProfileLock {
+    const lockFile = path.join(this.profileDir(name), LOCK_FILE);
+    const running = this.singletonLockOwner(name);
+    if (running !== undefined) {
+      throw createProfileLockedError(name, running);
+    }
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, `${process.pid}\n${hostname()}`, {flag: 'wx'});
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw createProfileError(name, `cannot create ${lockFile}: ${err.message}`);
+        }
+      }
+
+      const owner = this.lockOwner(name);
+      if (owner !== undefined) {
+        throw createProfileLockedError(name, owner);
+      }
+      log.warn('BraveLauncher', `Taking over stale lock of profile ${name}`);
+      try {
+        fs.unlinkSync(lockFile);
+      } catch (err) {
+        // Someone else took it over first; try again.
+      }
+    }
+
+    let released = false;
+    return {
+      setBrowserPid: (pid: number) => {
+        if (released) return;
+        try {
+          fs.writeFileSync(lockFile, `${process.pid}\n${hostname()}\n${pid}`);
+        } catch (err) {
+          log.warn('BraveLauncher', `Could not record Brave in lock of profile ${name}: ${err.message}`);
+        }
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        try {
+          fs.unlinkSync(lockFile);
+        } catch (err) {
+          log.warn('BraveLauncher', `Could not release lock of profile ${name}: ${err.message}`);
+        }
+      },
+    };
+  }
+
+  /** Records a launch in the profile's metadata. */
+  recordUse(name: string, braveVersion: string|null) {
+    const metadata = this.readMetadata(name);
+    this.writeMetadata(name, {
+      ...metadata,
+      lastUsedAt: new Date().toISOString(),
+      lastBraveVersion: braveVersion || metadata.lastBraveVersion,
+    });
+  }
+
+  private profileDir(name: string): string {
+    if (!isValidName(name)) {
+      throw createProfileError(
+          name, 'names may only contain letters, digits, ".", "_" and "-"');
+    }
+    return path.join(this.root, name);
+  }
+
+  // Returns the pid holding the lock, 0 if it cannot be told, or undefined if
+  // the profile is not locked or its lock is stale. The lock holds while its
+  // process or the Brave it recorded lives, and while Brave's own
+  // SingletonLock names a live process.
+  private lockOwner(name: string): number|undefined {
+    let content: string;
+    try {
+      content = fs.readFileSync(path.join(this.profileDir(name), LOCK_FILE), 'utf-8');
+    } catch (err) {
+      return this.singletonLockOwner(name);
+    }
+    const [ownerPid, host, bravePid] = content.split('\n');
+    const pids = [ownerPid, bravePid].map(pid => parseInt(pid, 10));
+    // A lock from another machine sharing the root can't be checked, so it holds.
+    if (host !== hostname()) {
+      return pids[0] || 0;
+    }
+    return pids.find(pid => pid && isProcessAlive(pid)) || this.singletonLockOwner(name);
+  }
+
+  // The live process named by Brave's SingletonLock symlink, "<host>-<pid>".
+  private singletonLockOwner(name: string): number|undefined {
+    let target: string;
+    try {
+      target = fs.readlinkSync(path.join(this.userDataDir(name), 'SingletonLock'));
+    } catch (err) {
+      return undefined;
+    }
+    const separator = target.lastIndexOf('-');
+    const pid = parseInt(target.slice(separator + 1), 10);
+    if (target.slice(0, separator) !== hostname() || !pid) {
+      return undefined;
+    }
+    return isProcessAlive(pid) ? pid : undefined;
+  }
+
+  private assertExists(name: string) {
+    if (!this.get(name)) {
+      throw createProfileError(name, `does not exist in ${this.root}`);
+    }
+  }
+
+  private assertUnlocked(name: string) {
+    const owner = this.lockOwner(name);
+    if (owner !== undefined) {
+      throw createProfileLockedError(name, owner);
+    }
+  }
+
+  private readMetadata(name: string): ProfileMetadata {
+    try {
+      const metadata = JSON.parse(
+          fs.readFileSync(path.join(this.profileDir(name), METADATA_FILE), 'utf-8'));
+      return {
+        name,
+        createdAt: metadata.createdAt,
+        lastUsedAt: metadata.lastUsedAt || null,
+        lastBraveVersion: metadata.lastBraveVersion || null,
+      };
+    } catch (err) {
+      // Metadata was lost or never written; the profile itself is still usable.
+      return {name, createdAt: '', lastUsedAt: null, lastBraveVersion: null};
+    }
+  }
+
+  private writeMetadata(name: string, metadata: ProfileMetadata) {
+    fs.writeFileSync(
+        path.join(this.profileDir(name), METADATA_FILE), JSON.stringify(metadata, null, 2));
+  }
+}
+
+function isValidName(name: string) {
+  return /^[\w.-]+$/.test(name) && name !== '.' && name !== '..';
+}
@@ -0,0 +1,176 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {tmpdir} from 'os';
+import {execFileSync, spawnSync} from 'child_process';
+import {getPlatform, isProcessAlive, removeDirSync, waitForProcessGroupExit} from './utils.js';
+import log from './logger.js';
+
+/** Prefix of the temp userDataDirs created by makeTmpDir(). */
+const TMP_DIR_PREFIX = 'lighthouse.';
+
+export interface ReapOptions {
+  /** Only report what would be removed. Default: false. */
+  dryRun?: boolean;
+  /** Directory holding the launcher's temp profiles. Default: os.tmpdir(). */
+  tmpDir?: string;
+}
+
+export interface OrphanProfile {
+  userDataDir: string;
+  /** Brave pid read from brave.pid. */
+  pid: number;
+  /** Node process that launched it, when recorded. */
+  ownerPid: number|null;
+  /** Whether that Brave was still running (and killed, unless dryRun). */
+  running: boolean;
+  /** Whether the directory was deleted. Always false for a dry run. */
+  removed: boolean;
+}
+
+/**
+ * Finds temp profiles whose launching Node process is gone, e.g. after an
+ * OOM kill, kills the Brave process group still running from them and
+ * deletes the directories. Profiles of live launchers are left alone.
+ */
+export async function reapOrphans(options: ReapOptions = {}): Promise<OrphanProfile[]> {
+  const root = options.tmpDir || tmpdir();
+  const orphans: OrphanProfile[] = [];
+
+  let entries: string[];
+  try {
+    entries = fs.readdirSync(root);
+  } catch (err) {
+    log.warn('BraveLauncher', `Cannot read ${root}: ${err.message}`);
+    return orphans;
+  }
+
+  for (const entry of entries) {
+    if (!entry.startsWith(TMP_DIR_PREFIX)) {
+      continue;
+    }
+
+    const userDataDir = path.join(root, entry);
+    const pidFile = readPidFile(path.join(userDataDir, 'brave.pid'));
+    if (!pidFile) {
+      continue;
+    }
+
+    const {pid, ownerPid} = pidFile;
+    if (ownerPid !== null && isProcessAlive(ownerPid)) {
+      log.verbose('BraveLauncher', `${userDataDir} is still owned by process ${ownerPid}`);
+      continue;
+    }
+    // Without an owner on record, a live Brave may still belong to a running launcher.
+    if (ownerPid === null && isProcessAlive(pid)) {
+      log.verbose('BraveLauncher', `${userDataDir} has no owner on record and Brave ${pid} is running`);
+      continue;
+    }
+
+    // The pid may have been reused since, so only kill it if it is Brave.
+    const running = isProcessAlive(pid) && isBraveProcess(pid, userDataDir);
+    const orphan: OrphanProfile = {userDataDir, pid, ownerPid, running, removed: false};
+    orphans.push(orphan);
+
+    if (options.dryRun) {
+      log.log(
+          'BraveLauncher',
+          `Would ${running ? `kill Brave ${pid} and ` : ''}remove ${userDataDir}`);
+      continue;
+    }
+
+    if (running) {
+      log.log('BraveLauncher', `Killing orphaned Brave ${pid}`);
+      await killProcessTree(pid);
+    }
+
+    try {
+      removeDirSync(userDataDir);
+      orphan.removed = true;
+      log.log('BraveLauncher', `Removed ${userDataDir}`);
+    } catch (err) {
+      log.warn('BraveLauncher', `Could not remove ${userDataDir}: ${err.message}`);
+    }
+  }
+
+  return orphans;
+}
+
+function readPidFile(pidFile: string): {pid: number, ownerPid: number|null}|undefined {
+  let content: string;
+  try {
+    content = fs.readFileSync(pidFile, 'utf-8');
+  } catch (err) {
+    return undefined;
+  }
+
+  // "<brave pid>\n<owner pid>"; older launchers only wrote the first line.
+  const [pid, ownerPid] = content.split(/\r?\n/).map(line => parseInt(line, 10));
+  if (!pid) {
+    return undefined;
+  }
+  return {pid, ownerPid: ownerPid || null};
+}
+
+// Only the Brave launched with this very profile counts; anything else
+// mentioning "brave" may be an unrelated process that got the pid.
+function isBraveProcess(pid: number, userDataDir: string): boolean {
+  const commandLine = getProcessCommandLine(pid);
+  if (commandLine === undefined) {
+    return false;
+  }
+  // The whole argument, not the start of `${userDataDir}-other`.
+  const flag = `--user-data-dir=${userDataDir}`;
+  for (let index = commandLine.indexOf(flag); index !== -1;
+       index = commandLine.indexOf(flag, index + 1)) {
+    const next = commandLine.charAt(index + flag.length);
+    if (next === '' || next === '"' || /\s/.test(next)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function getProcessCommandLine(pid: number): string|undefined {
+  try {
+    switch (getPlatform()) {
+      case 'linux':
+      case 'wsl':
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf-8').replace(/\0/g, ' ');
+      case 'darwin':
+        return execFileSync('ps', ['-p', String(pid), '-o', 'command='], {encoding: 'utf-8'});
+      case 'win32':
+        return execFileSync(
+            'powershell.exe',
+            [
+              '-NoProfile', '-Command',
+              `(Get-CimInstance Win32_Process -Filter "ProcessId=${pid}").CommandLine`
+            ],
+            {encoding: 'utf-8'});
+      default:
+        return undefined;
+    }
+  } catch (err) {
+    return undefined;
+  }
+}
+
+async function killProcessTree(pid: number) {
+  try {
+    if (getPlatform() === 'win32') {
+      spawnSync(`taskkill /pid ${pid} /T /F`, {shell: true, encoding: 'utf-8'});
+      return;
+    }
+    // Brave was spawned detached, so it leads its own process group.
+    process.kill(-pid, 'SIGKILL');
+    await waitForProcessGroupExit(pid, 5000);
+  } catch (err) {
+    log.warn('BraveLauncher', `Could not kill Brave ${pid}: ${err.message}`);
+  }
+}
@@ -7,10 +7,12 @@
 
 import {join} from 'path';
 import childProcess from 'child_process';
+import * as fs from 'fs';
 import {mkdirSync} from 'fs';
 import isWsl from 'is-wsl';
 import which from 'which';
 import log from './logger.js';
+import {LauncherError, ErrorCategory, ErrorSeverity} from './errors.js';
 
 export const enum LaunchErrorCodes {
   ERR_LAUNCHER_PATH_NOT_SET = 'ERR_LAUNCHER_PATH_NOT_SET',
@@ -28,38 +30,93 @@ export async function delay(time: number) {
   return new Promise(resolve => setTimeout(resolve, time));
 }
 
-export class LauncherError extends Error {
-  constructor(public message: string = 'Unexpected error', public code?: string) {
-    super();
-    this.stack = new Error().stack;
-    return this;
-  }
-}
+// The chrome-launcher style errors below are part of the single LauncherError
+// hierarchy in errors.ts; they only add their legacy `code`.
+export {LauncherError};
 
 export class BravePathNotSetError extends LauncherError {
-  message =
-      'The BRAVE_PATH environment variable must be set to a Brave Browser executable or Brave Browser not found.';
   code = LaunchErrorCodes.ERR_LAUNCHER_PATH_NOT_SET;
+
+  constructor() {
+    super(
+        'The BRAVE_PATH environment variable must be set to a Brave Browser executable or Brave Browser not found.',
+        ErrorCategory.BROWSER_NOT_FOUND, ErrorSeverity.CRITICAL, false, undefined,
+        'Install Brave Browser or point BRAVE_PATH at its executable.');
+    this.name = 'BravePathNotSetError';
+  }
 }
 
 export class InvalidUserDataDirectoryError extends LauncherError {
-  message = 'userDataDir must be false or a path.';
   code = LaunchErrorCodes.ERR_LAUNCHER_INVALID_USER_DATA_DIRECTORY;
+
+  constructor() {
+    super(
+        'userDataDir must be false or a path.', ErrorCategory.INVALID_CONFIG, ErrorSeverity.HIGH,
+        false, {configKey: 'userDataDir'}, 'Pass false to use the default profile, or a path.');
+    this.name = 'InvalidUserDataDirectoryError';
+  }
 }
 
 export class UnsupportedPlatformError extends LauncherError {
-  message = `Platform ${getPlatform()} is not supported.`;
   code = LaunchErrorCodes.ERR_LAUNCHER_UNSUPPORTED_PLATFORM;
+
+  constructor() {
+    super(
+        `Platform ${getPlatform()} is not supported.`, ErrorCategory.PLATFORM_UNSUPPORTED,
+        ErrorSeverity.CRITICAL, false, {platform: getPlatform()},
+        'This launcher supports Windows, macOS, and Linux only.');
+    this.name = 'UnsupportedPlatformError';
+  }
 }
 
 export class BraveNotInstalledError extends LauncherError {
-  message = 'No Brave Browser installations found.';
   code = LaunchErrorCodes.ERR_LAUNCHER_NOT_INSTALLED;
+
+  constructor() {
+    super(
+        'No Brave Browser installations found.', ErrorCategory.BROWSER_NOT_FOUND,
+        ErrorSeverity.CRITICAL, false, undefined,
+        'Install Brave Browser, or provide a custom path using bravePath option.');
+    this.name = 'BraveNotInstalledError';
+  }
 }
 
 export class XvfbNotFoundError extends LauncherError {
-  message = 'Xvfb not found. Please install xvfb: sudo apt-get install xvfb';
   code = LaunchErrorCodes.ERR_LAUNCHER_XVFB_NOT_FOUND;
+
+  constructor() {
+    super(
+        'Xvfb not found. Please install xvfb: sudo apt-get install xvfb', ErrorCategory.XVFB_FAILED,
+        ErrorSeverity.HIGH, false, undefined, 'Install Xvfb on Linux: sudo apt-get install xvfb');
+    this.name = 'XvfbNotFoundError';
+  }
+}
+
+// resolves true once no process of the group led by pgid is left
+export async function waitForProcessGroupExit(pgid: number, timeout: number): Promise<boolean> {
+  const deadline = Date.now() + timeout;
+  while (true) {
+    try {
+      process.kill(-pgid, 0);
+    } catch (err) {
+      // ESRCH: the group is gone. EPERM means it exists but isn't ours.
+      return err.code === 'ESRCH';
+    }
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await delay(50);
+  }
+}
+
+export function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: alive, but owned by another user.
+    return err.code === 'EPERM';
+  }
 }
 
 export function getPlatform() {
@@ -81,117 +138,135 @@ export function makeTmpDir() {
   }
 }
 
-export interface XvfbOptions {
-  display?: string;
-  width?: number;
-  height?: number;
-  depth?: number;
-  enableXvfb?: boolean;
-  xvfbArgs?: string[];
+/** Deletes a directory tree if it exists. */
+export function removeDirSync(dir: string) {
+  // backwards support for node v12 + v14.14+
+  // https://nodejs.org/api/deprecations.html#DEP0147
+  const rmSync = fs.rmSync || fs.rmdirSync;
+  rmSync(dir, {recursive: true, force: true, maxRetries: 10});
 }
 
-export class XvfbManager {
-  private xvfbProcess?: childProcess.ChildProcess;
-  private display: string;
-  private originalDisplay?: string;
+// Files and directories of a user data dir that belong to one browser run or
+// are caches Brave rebuilds, so they are not worth copying into another profile.
+const VOLATILE_PROFILE_ENTRIES = new Set([
+  'SingletonLock', 'SingletonSocket', 'SingletonCookie', 'lockfile', 'DevToolsActivePort',
+  'brave.pid', 'brave-out.log', 'brave-err.log',
+  'Crashpad', 'Crash Reports', 'BrowserMetrics',
+  'Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'DawnGraphiteCache', 'DawnWebGPUCache',
+  'ShaderCache', 'GrShaderCache', 'GraphiteDawnCache', 'component_crx_cache',
+]);
+
+/**
+ * Copies a user data dir without its volatile entries. Files are cloned
+ * copy-on-write where the filesystem supports it, so the copy never shares
+ * data Brave writes to (extension hashes, for one) with the source.
+ */
+export function copyProfileDirSync(source: string, target: string) {
+  fs.mkdirSync(target, {recursive: true});
+  for (const entry of fs.readdirSync(source, {withFileTypes: true})) {
+    if (VOLATILE_PROFILE_ENTRIES.has(entry.name)) {
+      continue;
+    }
+    const from = join(source, entry.name);
+    const to = join(target, entry.name);
+    if (entry.isDirectory()) {
+      copyProfileDirSync(from, to);
+    } else if (entry.isSymbolicLink()) {
+      fs.symlinkSync(fs.readlinkSync(from), to);
+    } else {
+      // Falls back to a regular copy where reflinks are not supported.
+      fs.copyFileSync(from, to, fs.constants.COPYFILE_FICLONE);
+    }
+  }
+}
 
-  constructor(private options: XvfbOptions = {}) {
-    this.display = options.display || ':99';
+/** Whether an Xvfb binary is on the PATH. */
+export function isXvfbAvailable(): boolean {
+  try {
+    which.sync('Xvfb');
+    return true;
+  } catch (e) {
+    return false;
   }
+}
 
-  async start(): Promise<void> {
-    if (getPlatform() !== 'linux') {
-      log.warn('BraveLauncher', 'Xvfb is only supported on Linux');
-      return;
-    }
+const braveVersions = new Map<string, string|null>();
 
-    // Check if Xvfb is available
+/**
+ * Brave's own version, e.g. `1.70.117`, from `<bravePath> --version`. Brave
+ * prints it after the Chromium major, as in `Brave Browser 130.1.70.117`.
+ * Null on Windows, where `--version` starts the browser instead, and when
+ * the output can't be parsed.
+ */
+export function getBraveVersion(bravePath: string): string|null {
+  if (getPlatform() === 'win32') {
+    return null;
+  }
+  let version = braveVersions.get(bravePath);
+  if (version === undefined) {
+    let output = '';
     try {
-      which.sync('Xvfb');
+      output = childProcess.execFileSync(
+          bravePath, ['--version'], {encoding: 'utf-8', timeout: 5000, stdio: ['ignore', 'pipe', 'ignore']});
     } catch (e) {
-      throw new XvfbNotFoundError();
-    }
-
-    // Check if display is already in use
-    if (this.isDisplayInUse(this.display)) {
-      log.warn('BraveLauncher', `Display ${this.display} is already in use`);
-      return;
+      log.verbose('BraveLauncher', `Could not run ${bravePath} --version: ${e.message}`);
     }
+    const match = /\b(?:\d+\.)?(\d+\.\d+\.\d+)\b/.exec(output);
+    version = match ? match[1] : null;
+    braveVersions.set(bravePath, version);
+  }
+  return version;
+}
 
-    const width = this.options.width || 1920;
-    const height = this.options.height || 1080;
-    const depth = this.options.depth || 24;
-
-    const xvfbArgs = [
-      this.display,
-      '-screen', '0', `${width}x${height}x${depth}`,
-      '-ac',
-      '+extension', 'GLX',
-      '+render',
-      '-noreset',
-      ...(this.options.xvfbArgs || [])
-    ];
-
-    log.verbose('BraveLauncher', `Starting Xvfb with args: ${xvfbArgs.join(' ')}`);
-
-    this.xvfbProcess = childProcess.spawn('Xvfb', xvfbArgs, {
-      detached: true,
-      stdio: 'ignore'
-    });
-
-    // Store original DISPLAY
-    this.originalDisplay = process.env.DISPLAY;
-    process.env.DISPLAY = this.display;
-
-    // Wait for Xvfb to start
-    await this.waitForDisplay();
-
-    log.verbose('BraveLauncher', `Xvfb started successfully on display ${this.display}`);
+/**
+ * The executable of the process listening on TCP `port` on this machine, or
+ * undefined where that can't be told: outside Linux, or when the process
+ * belongs to another user.
+ */
+export function getListeningExecutable(port: number): string|undefined {
+  if (getPlatform() !== 'linux') {
+    return undefined;
   }
 
-  async stop(): Promise<void> {
-    if (this.xvfbProcess) {
-      this.xvfbProcess.kill();
-      this.xvfbProcess = undefined;
-      
-      // Restore original DISPLAY
-      if (this.originalDisplay !== undefined) {
-        process.env.DISPLAY = this.originalDisplay;
-      } else {
-        delete process.env.DISPLAY;
+  const inodes = new Set<string>();
+  for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    let lines: string[];
+    try {
+      lines = fs.readFileSync(table, 'utf8').trim().split('\n').slice(1);
+    } catch (e) {
+      continue;
+    }
+    for (const line of lines) {
+      // local_address is <hex ip>:<hex port>; state 0A is LISTEN.
+      const fields = line.trim().split(/\s+/);
+      if (fields[3] === '0A' && parseInt(fields[1].split(':')[1], 16) === port) {
+        inodes.add(fields[9]);
       }
-      
-      log.verbose('BraveLauncher', 'Xvfb stopped');
     }
   }
+  if (!inodes.size) {
+    return undefined;
+  }
 
-  private isDisplayInUse(display: string): boolean {
+  for (const pid of fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry))) {
+    let fds: string[];
     try {
-      const lockFile = `/tmp/.X${display.substring(1)}-lock`;
-      require('fs').accessSync(lockFile);
-      return true;
+      fds = fs.readdirSync(`/proc/${pid}/fd`);
     } catch (e) {
-      return false;
+      continue;
     }
-  }
-
-  private async waitForDisplay(timeout: number = 10000): Promise<void> {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeout) {
+    for (const fd of fds) {
       try {
-        childProcess.execSync(`xdpyinfo -display ${this.display}`, { 
-          stdio: 'ignore',
-          timeout: 1000
-        });
-        return;
+        const socket = /^socket:\[(\d+)\]$/.exec(fs.readlinkSync(`/proc/${pid}/fd/${fd}`));
+        if (socket && inodes.has(socket[1])) {
+          return fs.readlinkSync(`/proc/${pid}/exe`);
+        }
       } catch (e) {
-        await delay(100);
+        // The process or descriptor went away meanwhile.
       }
     }
-    
-    throw new Error(`Xvfb did not start within ${timeout}ms`);
   }
+  return undefined;
 }
 
 export function detectDesktopEnvironment(): 'headless' | 'gui' {
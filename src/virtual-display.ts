@@ -0,0 +1,355 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as childProcess from 'child_process';
+import * as fs from 'fs';
+import {Readable} from 'stream';
+import {defaults, delay, getPlatform, isProcessAlive, isXvfbAvailable, XvfbNotFoundError} from './utils.js';
+import {createInvalidConfigError, createXvfbError} from './errors.js';
+import log from './logger.js';
+
+// Xvfb writes the display number it bound to this fd once it accepts clients.
+const DISPLAY_FD = 3;
+const STOP_TIMEOUT = 5000;
+
+export interface XvfbOptions {
+  /** Display to run on, e.g. `':99'` or `99`. Default: the first free one, picked by Xvfb. */
+  display?: string|number;
+  /** Screen size and depth. Default: 1920x1080x24. */
+  width?: number;
+  height?: number;
+  depth?: number;
+  /** Number of screens, all of the same size. Default: 1. */
+  screens?: number;
+  /**
+   * Share one Xvfb with every other launch whose `xvfbOptions` match (apart
+   * from `screen` and `window`), see `acquireDisplay()`. Default: false.
+   */
+  shared?: boolean;
+  /** Screen this launch's Brave uses. Default: the one fewest launches use. */
+  screen?: number;
+  /** Position and size of Brave's window on the virtual display, as --window-position and --window-size. */
+  window?: {x?: number, y?: number, width?: number, height?: number};
+  /** Use `display` if an X server already runs there instead of failing. Default: false. */
+  reuse?: boolean;
+  /** How long Xvfb may take to come up in ms. Default: 10000. */
+  timeout?: number;
+  /** Extra arguments appended to the Xvfb command line. */
+  xvfbArgs?: string[];
+  /** @deprecated Use `display`. */
+  displayNum?: number;
+  /** @deprecated Has no effect; set `enableXvfb` in the launch options. */
+  enableXvfb?: boolean;
+  /** @deprecated Has no effect; use `logLevel`. */
+  silent?: boolean;
+}
+
+function parseDisplay(display: string|number): number {
+  const number = typeof display === 'number' ? display : parseInt(display.replace(/^:/, ''), 10);
+  if (!Number.isInteger(number) || number < 0) {
+    throw createInvalidConfigError('xvfbOptions.display', 'a display such as :99', display);
+  }
+  return number;
+}
+
+// An X server holds /tmp/.X<n>-lock with its pid; Xvfb itself replaces stale ones.
+function isDisplayRunning(display: number): boolean {
+  let content: string;
+  try {
+    content = fs.readFileSync(`/tmp/.X${display}-lock`, 'utf-8');
+  } catch (err) {
+    return err.code !== 'ENOENT';
+  }
+  const pid = parseInt(content.trim(), 10);
+  return !pid || isProcessAlive(pid);
+}
+
+/**
+ * An Xvfb server for running Brave with a full UI on Linux machines without
+ * a display. Unless a display is given, Xvfb picks a free one itself
+ * (`-displayfd`), so concurrent launches never share or steal a display.
+ */
+export class VirtualDisplay {
+  private options: XvfbOptions;
+  private requestedDisplay?: number;
+  private display?: number;
+  private xvfbProcess?: childProcess.ChildProcess;
+
+  constructor(options: XvfbOptions = {}) {
+    this.options = options;
+    const display = options.display !== undefined ? options.display : options.displayNum;
+    if (display !== undefined) {
+      this.requestedDisplay = parseDisplay(display);
+    }
+  }
+
+  /** The display number once started, `undefined` before. */
+  get displayNumber(): number|undefined {
+    return this.display;
+  }
+
+  /** Whether an Xvfb process of this display is running. */
+  get running(): boolean {
+    return !!this.xvfbProcess;
+  }
+
+  /** The X display, e.g. `:99`, or `:99.1` for a screen other than 0; empty until `start()` picked one. */
+  getDisplay(screen = 0): string {
+    const display = this.display !== undefined ? this.display : this.requestedDisplay;
+    if (display === undefined) {
+      return '';
+    }
+    return screen ? `:${display}.${screen}` : `:${display}`;
+  }
+
+  /**
+   * Starts Xvfb. `process.env` is left alone; hand `env()` to the processes
+   * that should use the display. Throws XVFB_FAILED if the requested display
+   * is taken (unless `reuse` is set) or Xvfb does not come up in time.
+   */
+  async start(): Promise<void> {
+    if (this.display !== undefined) {
+      return;
+    }
+    if (getPlatform() !== 'linux') {
+      log.warn('BraveLauncher', 'Xvfb is only supported on Linux');
+      return;
+    }
+    if (!isXvfbAvailable()) {
+      throw new XvfbNotFoundError();
+    }
+
+    const requested = this.requestedDisplay;
+    if (requested !== undefined && isDisplayRunning(requested)) {
+      if (!this.options.reuse) {
+        throw createXvfbError(new Error(`display :${requested} is already in use`));
+      }
+      log.verbose('BraveLauncher', `Reusing the X server on display :${requested}`);
+      this.display = requested;
+      return;
+    }
+
+    this.display = await this.spawnXvfb(requested);
+    log.verbose('BraveLauncher', `Xvfb started successfully on display ${this.getDisplay()}`);
+  }
+
+  /**
+   * A copy of `base` with DISPLAY set to this display, for the `env` of a
+   * child process. WAYLAND_DISPLAY is dropped so Brave doesn't pick the
+   * Wayland session over the virtual display.
+   */
+  env(base: {[key: string]: string|undefined} = process.env, screen = 0):
+      {[key: string]: string|undefined} {
+    const env: {[key: string]: string|undefined} = {...base, DISPLAY: this.getDisplay(screen)};
+    delete env.WAYLAND_DISPLAY;
+    return env;
+  }
+
+  /** Stops Xvfb, unless it was reused. */
+  async stop(): Promise<void> {
+    const xvfb = this.xvfbProcess;
+    this.xvfbProcess = undefined;
+    this.display = undefined;
+    if (!xvfb || xvfb.exitCode !== null || xvfb.signalCode !== null) {
+      return;
+    }
+
+    const exited = new Promise(resolve => xvfb.once('exit', resolve));
+    xvfb.kill('SIGTERM');
+    const stopped = await Promise.race([exited.then(() => true), delay(STOP_TIMEOUT).then(() => false)]);
+    if (!stopped) {
+      log.warn('BraveLauncher', `Xvfb ${xvfb.pid} ignored SIGTERM, killing it`);
+      xvfb.kill('SIGKILL');
+      await exited;
+    }
+    log.verbose('BraveLauncher', 'Xvfb stopped');
+  }
+
+  // resolves with the display Xvfb listens on
+  private spawnXvfb(requested?: number): Promise<number> {
+    const {width = 1920, height = 1080, depth = 24, screens = 1, timeout = 10000} = this.options;
+    const screenArgs: string[] = [];
+    for (let screen = 0; screen < screens; screen++) {
+      screenArgs.push('-screen', String(screen), `${width}x${height}x${depth}`);
+    }
+    const args = [
+      ...(requested !== undefined ? [`:${requested}`] : []),
+      '-displayfd', String(DISPLAY_FD),
+      ...screenArgs,
+      '-ac',
+      '+extension', 'GLX',
+      '+render',
+      '-noreset',
+      ...(this.options.xvfbArgs || []),
+    ];
+    log.verbose('BraveLauncher', `Starting Xvfb with args: ${args.join(' ')}`);
+
+    const xvfb = childProcess.spawn('Xvfb', args, {
+      detached: true,
+      stdio: ['ignore', 'ignore', 'pipe', 'pipe'],
+    });
+    this.xvfbProcess = xvfb;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let stderr = '';
+      let output = '';
+      const displayfd = xvfb.stdio[DISPLAY_FD] as Readable;
+
+      const settle = (error: Error|null, display?: number) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        displayfd.destroy();
+        if (error) {
+          this.xvfbProcess = undefined;
+          xvfb.kill('SIGKILL');
+          reject(createXvfbError(error));
+        } else {
+          resolve(display!);
+        }
+      };
+      const timer = setTimeout(
+          () => settle(new Error(`Xvfb did not start within ${timeout}ms`)), timeout);
+
+      // Keep draining stderr for as long as Xvfb runs, so it never blocks on it.
+      xvfb.stderr!.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      displayfd.on('data', chunk => {
+        output += chunk;
+        if (output.includes('\n')) {
+          settle(null, parseInt(output, 10));
+        }
+      });
+      xvfb.once('error', err => settle(err));
+      xvfb.once('exit', (code, signal) => {
+        if (!settled) {
+          const lastLine = stderr.trim().split('\n').pop();
+          settle(new Error(`Xvfb exited with ${signal || code} before it was ready${
+              lastLine ? `: ${lastLine}` : ''}`));
+        } else if (this.xvfbProcess === xvfb) {
+          log.warn('BraveLauncher', `Xvfb on display :${this.display} exited with ${signal || code}`);
+          this.xvfbProcess = undefined;
+        }
+      });
+    });
+  }
+}
+
+/** One launch's use of a virtual display. */
+export interface DisplayLease {
+  display: VirtualDisplay;
+  /** Screen to use, 0 unless the server has several. */
+  screen: number;
+  /** The DISPLAY value for this lease, e.g. `:1` or `:1.2`. */
+  name: string;
+  /** `base` with DISPLAY set to `name`, see VirtualDisplay.env(). */
+  env: (base?: {[key: string]: string|undefined}) => {[key: string]: string|undefined};
+  /** Gives the display back; the last lease of a server stops it. */
+  release: () => Promise<void>;
+}
+
+interface SharedServer {
+  display: VirtualDisplay;
+  started: Promise<void>;
+  refs: number;
+  // Leases per screen, to spread launches over the screens.
+  screenUse: number[];
+}
+
+const sharedServers = new Map<string, SharedServer>();
+
+// Options that make a different server; `screen` and `window` are per launch.
+function sharingKey(options: XvfbOptions) {
+  const {display, displayNum, width, height, depth, screens, reuse, xvfbArgs} = options;
+  return JSON.stringify([display, displayNum, width, height, depth, screens, reuse, xvfbArgs]);
+}
+
+function makeLease(display: VirtualDisplay, screen: number, release: () => Promise<void>): DisplayLease {
+  let released = false;
+  return {
+    display,
+    screen,
+    name: display.getDisplay(screen),
+    env: base => display.env(base, screen),
+    release: async () => {
+      if (released) return;
+      released = true;
+      await release();
+    },
+  };
+}
+
+/**
+ * Starts a virtual display for one launch. With `shared`, launches with the
+ * same options share a single Xvfb: the first lease starts it and the last
+ * release stops it.
+ */
+export async function acquireDisplay(options: XvfbOptions = {}): Promise<DisplayLease> {
+  const screens = defaults(options.screens, 1);
+  if (options.screen !== undefined &&
+      (!Number.isInteger(options.screen) || options.screen < 0 || options.screen >= screens)) {
+    throw createInvalidConfigError('xvfbOptions.screen', `a screen between 0 and ${screens - 1}`, options.screen);
+  }
+
+  if (!options.shared) {
+    const display = new VirtualDisplay(options);
+    await display.start();
+    return makeLease(display, options.screen || 0, () => display.stop());
+  }
+
+  const key = sharingKey(options);
+  let server = sharedServers.get(key);
+  if (!server) {
+    const display = new VirtualDisplay(options);
+    const created: SharedServer =
+        {display, started: display.start(), refs: 0, screenUse: new Array(screens).fill(0)};
+    created.started.catch(() => {
+      if (sharedServers.get(key) === created) sharedServers.delete(key);
+    });
+    sharedServers.set(key, created);
+    server = created;
+  }
+
+  // Counted before the await, so a release meanwhile doesn't stop the server.
+  server.refs++;
+  try {
+    await server.started;
+  } catch (err) {
+    server.refs--;
+    throw err;
+  }
+
+  const shared = server;
+  const screen = options.screen !== undefined ?
+      options.screen :
+      shared.screenUse.indexOf(Math.min(...shared.screenUse));
+  shared.screenUse[screen]++;
+  log.verbose('BraveLauncher', `Using shared Xvfb ${shared.display.getDisplay(screen)} (${shared.refs} users)`);
+
+  return makeLease(shared.display, screen, async () => {
+    shared.refs--;
+    shared.screenUse[screen]--;
+    if (shared.refs === 0 && sharedServers.get(key) === shared) {
+      sharedServers.delete(key);
+      await shared.display.stop();
+    }
+  });
+}
+
+/** Stops every shared Xvfb, whether or not leases are still out. */
+export async function stopSharedDisplays(): Promise<void> {
+  const servers = [...sharedServers.values()];
+  sharedServers.clear();
+  await Promise.all(servers.map(server => server.started.catch(() => {}).then(() => server.display.stop())));
+}
+
+/** @deprecated Use VirtualDisplay. */
+export const XvfbManager = VirtualDisplay;
+/** @deprecated Use VirtualDisplay. */
+export type XvfbManager = VirtualDisplay;
@@ -0,0 +1,330 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import * as childProcess from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import {tmpdir} from 'os';
+import which from 'which';
+import {delay, getPlatform, removeDirSync} from './utils.js';
+import {createCompositorNotFoundError, createInvalidConfigError, createWaylandError} from './errors.js';
+import log from './logger.js';
+
+const SOCKET_POLL_INTERVAL = 50;
+const STOP_TIMEOUT = 5000;
+
+export type WaylandCompositor = 'weston'|'cage';
+
+type Env = {[key: string]: string|undefined};
+
+export interface WaylandOptions {
+  /** Compositor to run headless. Default: weston if installed, else cage. */
+  compositor?: WaylandCompositor;
+  /**
+   * Socket to serve, a name in $XDG_RUNTIME_DIR or an absolute path; weston
+   * only. Default: `wayland-0` in a private runtime dir, so launches never collide.
+   */
+  socket?: string;
+  /** Output size; weston only, cage uses wlroots' default. Default: 1920x1080. */
+  width?: number;
+  height?: number;
+  /** Use `socket` if a compositor already listens there instead of failing. Default: false. */
+  reuse?: boolean;
+  /** How long the compositor may take to come up in ms. Default: 10000. */
+  timeout?: number;
+  /** Extra arguments for the compositor. */
+  args?: string[];
+}
+
+export interface DisplayServers {
+  /** Path of the Wayland compositor socket, if one is listening. */
+  wayland: string|null;
+  /** DISPLAY, which next to a Wayland socket is usually Xwayland. */
+  x11: string|null;
+}
+
+function isSocket(file: string) {
+  try {
+    return fs.statSync(file).isSocket();
+  } catch (err) {
+    return false;
+  }
+}
+
+function isInstalled(command: string) {
+  try {
+    which.sync(command);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Where the socket named by WAYLAND_DISPLAY lives, or null if it can't be told. */
+export function waylandSocketPath(env: Env = process.env): string|null {
+  const display = env.WAYLAND_DISPLAY;
+  if (!display) {
+    return null;
+  }
+  if (path.isAbsolute(display)) {
+    return display;
+  }
+  return env.XDG_RUNTIME_DIR ? path.join(env.XDG_RUNTIME_DIR, display) : null;
+}
+
+/** The display servers `env` points at. A WAYLAND_DISPLAY without a live socket is ignored. */
+export function detectDisplayServers(env: Env = process.env): DisplayServers {
+  const socket = waylandSocketPath(env);
+  return {
+    wayland: socket && isSocket(socket) ? socket : null,
+    x11: env.DISPLAY || null,
+  };
+}
+
+/**
+ * Ozone switches for Brave on `servers`: Wayland when it is the only server,
+ * the auto hint when Xwayland is there to fall back to, none for plain X11.
+ */
+export function ozoneFlags(servers: DisplayServers): string[] {
+  if (!servers.wayland) {
+    return [];
+  }
+  return servers.x11 ? ['--ozone-platform-hint=auto'] : ['--ozone-platform=wayland'];
+}
+
+/** The first installed compositor WaylandDisplay can run, or null. */
+export function findCompositor(): WaylandCompositor|null {
+  if (getPlatform() !== 'linux') {
+    return null;
+  }
+  return (['weston', 'cage'] as WaylandCompositor[]).find(isInstalled) || null;
+}
+
+/**
+ * A headless Wayland compositor, the Wayland counterpart of VirtualDisplay:
+ * Brave runs with its full UI on it without a real screen. `process.env` is
+ * left alone; hand `env()` to the processes that should use it.
+ */
+export class WaylandDisplay {
+  private options: WaylandOptions;
+  private socket?: string;
+  // Private XDG_RUNTIME_DIR we created for the compositor, removed on stop().
+  private runtimeDir?: string;
+  private compositorProcess?: childProcess.ChildProcess;
+
+  constructor(options: WaylandOptions = {}) {
+    this.options = options;
+    if (options.compositor !== undefined && !['weston', 'cage'].includes(options.compositor)) {
+      throw createInvalidConfigError('waylandOptions.compositor', 'weston or cage', options.compositor);
+    }
+  }
+
+  /** Whether a compositor process of this display is running. */
+  get running(): boolean {
+    return !!this.compositorProcess;
+  }
+
+  /** The socket path, Brave's WAYLAND_DISPLAY; empty until `start()`. */
+  getDisplay(): string {
+    return this.socket || '';
+  }
+
+  /**
+   * A copy of `base` with WAYLAND_DISPLAY set to this compositor. DISPLAY is
+   * dropped so Brave can't fall back to an X server behind its back.
+   */
+  env(base: Env = process.env): Env {
+    const env: Env = {...base, WAYLAND_DISPLAY: this.getDisplay()};
+    delete env.DISPLAY;
+    return env;
+  }
+
+  /**
+   * Starts the compositor. Throws WAYLAND_FAILED if no compositor is
+   * installed (not recoverable), `socket` is taken (unless `reuse` is set) or
+   * the compositor does not come up in time.
+   */
+  async start(): Promise<void> {
+    if (this.socket) {
+      return;
+    }
+    if (getPlatform() !== 'linux') {
+      log.warn('BraveLauncher', 'Wayland compositors are only supported on Linux');
+      return;
+    }
+
+    const requested = this.options.socket !== undefined ? this.resolveSocket(this.options.socket) : undefined;
+    if (requested && isSocket(requested)) {
+      if (!this.options.reuse) {
+        throw createWaylandError(new Error(`${requested} is already in use`));
+      }
+      log.verbose('BraveLauncher', `Reusing the Wayland compositor on ${requested}`);
+      this.socket = requested;
+      return;
+    }
+
+    const compositor = this.options.compositor || findCompositor();
+    if (!compositor || !isInstalled(compositor)) {
+      throw createCompositorNotFoundError(compositor || undefined);
+    }
+    if (requested && compositor === 'cage') {
+      throw createInvalidConfigError('waylandOptions.socket', 'unset with cage, which names its own socket', this.options.socket);
+    }
+
+    let runtimeDir: string;
+    if (requested) {
+      runtimeDir = path.dirname(requested);
+    } else {
+      // mkdtemp creates it 0700, as Wayland requires of XDG_RUNTIME_DIR.
+      runtimeDir = this.runtimeDir = fs.mkdtempSync(path.join(tmpdir(), 'brave-wayland.'));
+    }
+    const socketName = requested ? path.basename(requested) : 'wayland-0';
+
+    try {
+      this.socket = await this.spawnCompositor(compositor, runtimeDir, socketName);
+    } catch (err) {
+      this.removeRuntimeDir();
+      throw err;
+    }
+    log.verbose('BraveLauncher', `${compositor} started successfully on ${this.socket}`);
+  }
+
+  /** Stops the compositor, unless it was reused. */
+  async stop(): Promise<void> {
+    const compositor = this.compositorProcess;
+    this.compositorProcess = undefined;
+    this.socket = undefined;
+
+    if (compositor && compositor.exitCode === null && compositor.signalCode === null) {
+      const exited = new Promise(resolve => compositor.once('exit', resolve));
+      // cage runs a placeholder client in the same group.
+      killGroup(compositor, 'SIGTERM');
+      const stopped = await Promise.race([exited.then(() => true), delay(STOP_TIMEOUT).then(() => false)]);
+      if (!stopped) {
+        log.warn('BraveLauncher', `Compositor ${compositor.pid} ignored SIGTERM, killing it`);
+        killGroup(compositor, 'SIGKILL');
+        await exited;
+      }
+      log.verbose('BraveLauncher', 'Wayland compositor stopped');
+    }
+    this.removeRuntimeDir();
+  }
+
+  private resolveSocket(socket: string): string {
+    if (path.isAbsolute(socket)) {
+      return socket;
+    }
+    if (!process.env.XDG_RUNTIME_DIR) {
+      throw createInvalidConfigError('waylandOptions.socket', 'an absolute path when XDG_RUNTIME_DIR is unset', socket);
+    }
+    return path.join(process.env.XDG_RUNTIME_DIR, socket);
+  }
+
+  private removeRuntimeDir() {
+    if (this.runtimeDir) {
+      removeDirSync(this.runtimeDir);
+      this.runtimeDir = undefined;
+    }
+  }
+
+  // resolves with the path of the socket once the compositor created it
+  private async spawnCompositor(
+      compositor: WaylandCompositor, runtimeDir: string, socketName: string): Promise<string> {
+    const {width = 1920, height = 1080, timeout = 10000} = this.options;
+    const env: Env = {...process.env, XDG_RUNTIME_DIR: runtimeDir};
+    // Otherwise the compositor could nest itself in the current session.
+    delete env.WAYLAND_DISPLAY;
+    delete env.DISPLAY;
+
+    let args: string[];
+    if (compositor === 'weston') {
+      args = [
+        '--backend=headless',
+        `--socket=${socketName}`,
+        `--width=${width}`,
+        `--height=${height}`,
+        '--idle-time=0',
+        ...(this.options.args || []),
+      ];
+    } else {
+      env.WLR_BACKENDS = 'headless';
+      env.WLR_LIBINPUT_NO_DEVICES = '1';
+      // cage exits with its client, so give it one that never does.
+      args = [...(this.options.args || []), '--', 'sh', '-c', 'while :; do sleep 3600; done'];
+    }
+    log.verbose('BraveLauncher', `Starting ${compositor} with args: ${args.join(' ')}`);
+
+    const child = childProcess.spawn(compositor, args, {
+      detached: true,
+      stdio: ['ignore', 'ignore', 'pipe'],
+      env,
+    });
+    this.compositorProcess = child;
+
+    let stderr = '';
+    let failure: Error|undefined;
+    // Keep draining stderr for as long as the compositor runs.
+    child.stderr!.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.once('error', err => {
+      failure = err;
+    });
+    child.once('exit', (code, signal) => {
+      if (this.compositorProcess !== child) {
+        return;
+      }
+      this.compositorProcess = undefined;
+      if (this.socket) {
+        log.warn('BraveLauncher', `${compositor} on ${this.socket} exited with ${signal || code}`);
+      } else {
+        const lastLine = stderr.trim().split('\n').pop();
+        failure = new Error(`${compositor} exited with ${signal || code} before it was ready${
+            lastLine ? `: ${lastLine}` : ''}`);
+      }
+    });
+
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const socket = compositor === 'weston' ?
+          path.join(runtimeDir, socketName) :
+          findSocket(runtimeDir);
+      if (socket && isSocket(socket)) {
+        return socket;
+      }
+      if (!failure && Date.now() >= deadline) {
+        failure = new Error(`${compositor} did not start within ${timeout}ms`);
+      }
+      if (failure) {
+        this.compositorProcess = undefined;
+        killGroup(child, 'SIGKILL');
+        throw createWaylandError(failure);
+      }
+      await delay(SOCKET_POLL_INTERVAL);
+    }
+  }
+}
+
+// The socket a compositor picked for itself in `dir`, e.g. wayland-0.
+function findSocket(dir: string): string|undefined {
+  let entries: string[];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (err) {
+    return undefined;
+  }
+  const name = entries.find(entry => /^wayland-\d+$/.test(entry));
+  return name && path.join(dir, name);
+}
+
+function killGroup(child: childProcess.ChildProcess, signal: NodeJS.Signals) {
+  try {
+    process.kill(-child.pid!, signal);
+  } catch (err) {
+    child.kill(signal);
+  }
+}
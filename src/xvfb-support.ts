@@ -5,203 +5,59 @@
  */
 'use strict';
 
-import * as childProcess from 'child_process';
-import * as fs from 'fs';
 import {getPlatform} from './utils.js';
+import {VirtualDisplay, XvfbOptions} from './virtual-display.js';
 import log from './logger.js';
 
-export interface XvfbOptions {
-  displayNum?: number;
-  reuse?: boolean;
-  timeout?: number;
-  silent?: boolean;
-  xvfbArgs?: string[];
-}
+export {XvfbOptions};
 
+/**
+ * The virtual display API of the legacy chrome-launcher entry point, backed
+ * by VirtualDisplay.
+ * @deprecated Use VirtualDisplay.
+ */
 export class XvfbSupport {
-  private display: number;
-  private reuse: boolean;
-  private timeout: number;
-  private silent: boolean;
-  private xvfbArgs: string[];
-  private xvfbProcess?: childProcess.ChildProcess;
-  private originalDisplay?: string;
+  private virtualDisplay: VirtualDisplay;
 
   constructor(options: XvfbOptions = {}) {
-    this.display = options.displayNum || this.findAvailableDisplay();
-    this.reuse = options.reuse || false;
-    this.timeout = options.timeout || 10000;
-    this.silent = options.silent || false;
-    this.xvfbArgs = options.xvfbArgs || [
-      '-screen', '0', '1920x1080x24',
-      '-ac',
-      '+extension', 'GLX',
-      '+render',
-      '-noreset'
-    ];
+    this.virtualDisplay = new VirtualDisplay(options);
   }
 
   /**
    * Start Xvfb virtual display
    */
-  async start(): Promise<void> {
-    if (getPlatform() !== 'linux') {
-      if (!this.silent) {
-        log.log('XvfbSupport', 'Xvfb is only supported on Linux, skipping...');
-      }
-      return;
-    }
-
-    // Check if Xvfb is installed
-    if (!this.isXvfbInstalled()) {
-      throw new Error('Xvfb is not installed. Please install it using: sudo apt-get install xvfb');
-    }
-
-    // Check if display is already running
-    if (this.reuse && this.isDisplayRunning(this.display)) {
-      if (!this.silent) {
-        log.log('XvfbSupport', `Reusing existing display :${this.display}`);
-      }
-      this.setDisplay(this.display);
-      return;
-    }
-
-    // Find available display if current one is in use
-    if (this.isDisplayRunning(this.display)) {
-      this.display = this.findAvailableDisplay();
-      if (!this.silent) {
-        log.log('XvfbSupport', `Display :${this.display - 1} is in use, using :${this.display}`);
-      }
-    }
-
-    return new Promise((resolve, reject) => {
-      const args = [`:${this.display}`, ...this.xvfbArgs];
-      
-      if (!this.silent) {
-        log.log('XvfbSupport', `Starting Xvfb on display :${this.display}`);
-        log.verbose('XvfbSupport', `Xvfb command: Xvfb ${args.join(' ')}`);
-      }
-
-      this.xvfbProcess = childProcess.spawn('Xvfb', args, {
-        stdio: this.silent ? 'ignore' : 'inherit',
-        detached: false
-      });
-
-      this.xvfbProcess.on('error', (err) => {
-        if (!this.silent) {
-          log.error('XvfbSupport', `Failed to start Xvfb: ${err.message}`);
-        }
-        reject(err);
-      });
-
-      this.xvfbProcess.on('exit', (code, signal) => {
-        if (!this.silent) {
-          log.log('XvfbSupport', `Xvfb process exited with code ${code} and signal ${signal}`);
-        }
-      });
-
-      // Wait for Xvfb to be ready
-      const startTime = Date.now();
-      const checkReady = () => {
-        if (this.isDisplayRunning(this.display)) {
-          this.setDisplay(this.display);
-          if (!this.silent) {
-            log.log('XvfbSupport', `Xvfb is ready on display :${this.display}`);
-          }
-          resolve();
-        } else if (Date.now() - startTime > this.timeout) {
-          this.stop();
-          reject(new Error(`Xvfb failed to start within ${this.timeout}ms`));
-        } else {
-          setTimeout(checkReady, 100);
-        }
-      };
-
-      setTimeout(checkReady, 100);
-    });
+  start(): Promise<void> {
+    return this.virtualDisplay.start();
   }
 
   /**
    * Stop Xvfb virtual display
    */
   stop(): void {
-    if (this.xvfbProcess && !this.xvfbProcess.killed) {
-      if (!this.silent) {
-        log.log('XvfbSupport', `Stopping Xvfb process ${this.xvfbProcess.pid}`);
-      }
-      
-      this.xvfbProcess.kill('SIGTERM');
-      
-      // Force kill after 5 seconds if still running
-      setTimeout(() => {
-        if (this.xvfbProcess && !this.xvfbProcess.killed) {
-          this.xvfbProcess.kill('SIGKILL');
-        }
-      }, 5000);
-    }
-
-    // Restore original DISPLAY
-    if (this.originalDisplay !== undefined) {
-      if (this.originalDisplay) {
-        process.env.DISPLAY = this.originalDisplay;
-      } else {
-        delete process.env.DISPLAY;
-      }
-    }
-  }
-
-  /**
-   * Get current display number
-   */
-  getDisplay(): number {
-    return this.display;
-  }
-
-  /**
-   * Get display string (e.g., ":99")
-   */
-  getDisplayString(): string {
-    return `:${this.display}`;
-  }
-
-  /**
-   * Check if Xvfb is installed
-   */
-  private isXvfbInstalled(): boolean {
-    try {
-      childProcess.execSync('which Xvfb', {stdio: 'ignore'});
-      return true;
-    } catch (err) {
-      return false;
-    }
+    this.virtualDisplay.stop().catch(err => {
+      log.warn('XvfbSupport', `Failed to stop Xvfb: ${err.message}`);
+    });
   }
 
   /**
-   * Check if a display is already running
+   * Environment for a child process on this display, see VirtualDisplay.env()
    */
-  private isDisplayRunning(display: number): boolean {
-    const lockFile = `/tmp/.X${display}-lock`;
-    return fs.existsSync(lockFile);
+  env(base: {[key: string]: string|undefined} = process.env): {[key: string]: string|undefined} {
+    return this.virtualDisplay.env(base);
   }
 
   /**
-   * Find an available display number
+   * Get current display number, NaN before start()
    */
-  private findAvailableDisplay(): number {
-    for (let display = 99; display < 200; display++) {
-      if (!this.isDisplayRunning(display)) {
-        return display;
-      }
-    }
-    throw new Error('No available display found');
+  getDisplay(): number {
+    return parseInt(this.getDisplayString().slice(1), 10);
   }
 
   /**
-   * Set the DISPLAY environment variable
+   * Get display string (e.g., ":99")
    */
-  private setDisplay(display: number): void {
-    this.originalDisplay = process.env.DISPLAY;
-    process.env.DISPLAY = `:${display}`;
+  getDisplayString(): string {
+    return this.virtualDisplay.getDisplay();
   }
 
   /**
@@ -0,0 +1,66 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const {translateBraveSettings} = require('../dist/brave-settings.js');
+const {ErrorCategory} = require('../dist/index.js');
+
+describe('translateBraveSettings', () => {
+  it('translates nothing for no settings', () => {
+    assert.deepStrictEqual(translateBraveSettings({}), {
+      prefs: {},
+      localState: {},
+      enableFeatures: [],
+      disableFeatures: [],
+      removeFlags: [],
+    });
+  });
+
+  it('maps Shields, fingerprinting and HTTPS levels to content settings', () => {
+    const {prefs} = translateBraveSettings(
+        {shields: 'aggressive', fingerprinting: 'standard', httpsUpgrade: 'strict'});
+    assert.deepStrictEqual(prefs.profile.default_content_setting_values, {
+      braveAds: 2,
+      braveTrackers: 2,
+      braveCosmeticFiltering: 2,
+      braveFingerprintingV2: 3,
+      httpsUpgrades: 2,
+    });
+  });
+
+  it('sets both the cookie content setting and controls mode', () => {
+    const {prefs} = translateBraveSettings({cookies: 'block-third-party'});
+    assert.strictEqual(prefs.profile.default_content_setting_values.cookies, 1);
+    assert.strictEqual(prefs.profile.cookie_controls_mode, 1);
+  });
+
+  it('toggles features and their toolbar prefs', () => {
+    const translated = translateBraveSettings({wallet: true, leo: false});
+    assert.deepStrictEqual(translated.enableFeatures, ['BraveWallet']);
+    assert.deepStrictEqual(translated.disableFeatures, ['AIChat']);
+    assert.strictEqual(translated.prefs.brave.wallet.show_wallet_icon_on_toolbar, true);
+    assert.strictEqual(translated.prefs.brave.ai_chat.show_toolbar_button, false);
+  });
+
+  it('enables Tor through Local State and the default flags', () => {
+    const translated = translateBraveSettings({tor: true});
+    assert.deepStrictEqual(translated.localState, {tor: {tor_disabled: false}});
+    assert.deepStrictEqual(translated.removeFlags, ['--disable-tor-client-updater']);
+    assert.deepStrictEqual(translateBraveSettings({tor: false}).removeFlags, []);
+  });
+
+  it('sets the default search engine', () => {
+    const {prefs} = translateBraveSettings({searchEngine: 'duckduckgo'});
+    assert.strictEqual(prefs.default_search_provider_data.template_url_data.keyword, ':d');
+  });
+
+  it('rejects unknown values', () => {
+    assert.throws(
+        () => translateBraveSettings({shields: 'maximum'}),
+        err => err.category === ErrorCategory.INVALID_CONFIG && /braveSettings\.shields/.test(err.message));
+  });
+});
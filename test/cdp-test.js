@@ -0,0 +1,317 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const {EventEmitter} = require('events');
+const {CDPConnection, WebSocketTransport} = require('../dist/cdp.js');
+const {ErrorCategory} = require('../dist/index.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// An unmasked server-to-client frame.
+function encodeFrame(payload, {opcode = 0x1, fin = true} = {}) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0, data.length]);
+  } else if (data.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(data.length / 0x100000000), 2);
+    header.writeUInt32BE(data.length >>> 0, 6);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  return Buffer.concat([header, data]);
+}
+
+// Splits client-to-server frames off `buffer`; returns them and the rest.
+function decodeFrames(buffer) {
+  const frames = [];
+  for (;;) {
+    if (buffer.length < 2) break;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    const masked = (buffer[1] & 0x80) !== 0;
+    const mask = masked ? buffer.slice(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+    const payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    }
+    frames.push({fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, masked, lengthField: buffer[1] & 0x7f, payload});
+    buffer = buffer.slice(offset + length);
+  }
+  return {frames, rest: buffer};
+}
+
+describe('WebSocketTransport', () => {
+  let server;
+  let url;
+  let serverSocket;
+  let received;
+  let onUpgrade;
+
+  beforeEach(done => {
+    received = [];
+    onUpgrade = (request, socket) => {
+      const accept = crypto.createHash('sha1')
+          .update(request.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+          .digest('base64');
+      socket.write(
+          'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+          `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+      return socket;
+    };
+    server = http.createServer((request, response) => {
+      response.statusCode = 404;
+      response.end();
+    });
+    server.on('upgrade', (request, socket) => {
+      serverSocket = onUpgrade(request, socket);
+      let buffer = Buffer.alloc(0);
+      socket.on('error', () => {});
+      socket.on('data', chunk => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+        received.push(...decoded.frames);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `ws://127.0.0.1:${server.address().port}/devtools/browser/test`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    if (serverSocket) serverSocket.destroy();
+    serverSocket = undefined;
+    server.close(() => done());
+  });
+
+  function nextMessage(transport) {
+    return new Promise(resolve => transport.once('message', resolve));
+  }
+
+  async function waitForFrames(count) {
+    while (received.length < count) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  it('sends masked frames with 7, 16 and 64 bit lengths', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    const messages = ['x'.repeat(10), 'y'.repeat(300), 'z'.repeat(70000)];
+    messages.forEach(message => transport.send(message));
+    await waitForFrames(3);
+    assert.deepStrictEqual(received.map(frame => frame.lengthField), [10, 126, 127]);
+    for (const [i, frame] of received.entries()) {
+      assert.ok(frame.masked);
+      assert.ok(frame.fin);
+      assert.strictEqual(frame.opcode, 0x1);
+      assert.strictEqual(frame.payload.toString(), messages[i]);
+    }
+    transport.close();
+  });
+
+  it('decodes frames with 7, 16 and 64 bit lengths', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    for (const length of [5, 300, 70000]) {
+      const message = nextMessage(transport);
+      serverSocket.write(encodeFrame('m'.repeat(length)));
+      assert.strictEqual((await message).length, length);
+    }
+    transport.close();
+  });
+
+  it('reassembles fragmented messages', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    const message = nextMessage(transport);
+    serverSocket.write(Buffer.concat([
+      encodeFrame('{"id":', {fin: false}),
+      encodeFrame('1,"result"', {opcode: 0x0, fin: false}),
+      encodeFrame(':{}}', {opcode: 0x0}),
+    ]));
+    assert.strictEqual(await message, '{"id":1,"result":{}}');
+    transport.close();
+  });
+
+  it('decodes frames split across and packed into chunks', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    const messages = [];
+    transport.on('message', message => messages.push(message));
+    const bytes = Buffer.concat([encodeFrame('first'), encodeFrame('s'.repeat(300)), encodeFrame('third')]);
+    for (let i = 0; i < bytes.length; i += 7) {
+      serverSocket.write(bytes.slice(i, i + 7));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    while (messages.length < 3) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.deepStrictEqual(messages, ['first', 's'.repeat(300), 'third']);
+    transport.close();
+  });
+
+  it('decodes a frame that starts in the same chunk as the handshake response', async () => {
+    const frame = encodeFrame('s'.repeat(300));
+    const upgrade = onUpgrade;
+    onUpgrade = (request, socket) => {
+      const write = socket.write;
+      // Send the response and the first half of the frame as one chunk.
+      socket.write = data => {
+        socket.write = write;
+        return write.call(socket, Buffer.concat([Buffer.from(data), frame.slice(0, 150)]));
+      };
+      return upgrade(request, socket);
+    };
+    const transport = await WebSocketTransport.connect(url);
+    const message = nextMessage(transport);
+    serverSocket.write(frame.slice(150));
+    assert.strictEqual(await message, 's'.repeat(300));
+    transport.close();
+  });
+
+  it('answers pings with the same payload', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    serverSocket.write(encodeFrame('ping!', {opcode: 0x9}));
+    await waitForFrames(1);
+    assert.strictEqual(received[0].opcode, 0xa);
+    assert.strictEqual(received[0].payload.toString(), 'ping!');
+    transport.close();
+  });
+
+  it('emits close when the server closes', async () => {
+    const transport = await WebSocketTransport.connect(url);
+    const closed = new Promise(resolve => transport.once('close', resolve));
+    serverSocket.write(encodeFrame('', {opcode: 0x8}));
+    // The client answers with a close frame of its own.
+    await waitForFrames(1);
+    assert.strictEqual(received[0].opcode, 0x8);
+    serverSocket.end();
+    await closed;
+  });
+
+  it('rejects a handshake with the wrong accept key', async () => {
+    onUpgrade = (request, socket) => {
+      socket.write(
+          'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+          'Sec-WebSocket-Accept: bogus\r\n\r\n');
+      return socket;
+    };
+    await assert.rejects(
+        WebSocketTransport.connect(url),
+        err => err.category === ErrorCategory.PROTOCOL_ERROR && /Invalid WebSocket handshake/.test(err.message));
+  });
+
+  it('rejects a response that is not an upgrade', async () => {
+    server.removeAllListeners('upgrade');
+    await assert.rejects(
+        WebSocketTransport.connect(url),
+        err => err.category === ErrorCategory.PROTOCOL_ERROR && /Unexpected response 404/.test(err.message));
+  });
+
+  it('times out when the endpoint never upgrades', async () => {
+    const sockets = [];
+    const silent = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    const start = Date.now();
+    await assert.rejects(
+        WebSocketTransport.connect(`ws://127.0.0.1:${silent.address().port}/`, 200),
+        err => err.category === ErrorCategory.PROTOCOL_ERROR && /Timed out/.test(err.message));
+    assert.ok(Date.now() - start < 2000);
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => silent.close(resolve));
+  });
+});
+
+// A transport that records what is sent and delivers what the test replies.
+class FakeTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.emit('close');
+  }
+
+  reply(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+}
+
+describe('CDPConnection', () => {
+  let transport;
+  let connection;
+
+  beforeEach(() => {
+    transport = new FakeTransport();
+    connection = new CDPConnection(transport);
+  });
+
+  it('resolves commands with their result', async () => {
+    const version = connection.session.send('Browser.getVersion');
+    transport.reply({id: transport.sent[0].id, result: {product: 'Chrome/130.0.0.0'}});
+    assert.deepStrictEqual(await version, {product: 'Chrome/130.0.0.0'});
+  });
+
+  it('rejects commands with the error reply', async () => {
+    const attach = connection.session.attachToTarget('missing');
+    transport.reply({id: transport.sent[0].id, error: {code: -32602, message: 'No target with given id found'}});
+    await assert.rejects(attach, err => err.category === ErrorCategory.PROTOCOL_ERROR &&
+        /Target.attachToTarget: No target with given id found/.test(err.message));
+  });
+
+  it('rejects an attach reply without a result instead of throwing', async () => {
+    const attach = connection.session.attachToTarget('target');
+    assert.doesNotThrow(() => transport.reply({id: transport.sent[0].id}));
+    await assert.rejects(attach, err => err.category === ErrorCategory.PROTOCOL_ERROR);
+  });
+
+  it('routes events sent right after an attach to the new session', async () => {
+    const attach = connection.session.attachToTarget('target');
+    const id = transport.sent[0].id;
+    const events = [];
+    // Reply and event in one go, as they may arrive in one chunk.
+    transport.reply({id, result: {sessionId: 'S1'}});
+    connection._getOrCreateSession('S1').on('Page.loadEventFired', params => events.push(params));
+    transport.reply({method: 'Page.loadEventFired', params: {timestamp: 1}, sessionId: 'S1'});
+    const session = await attach;
+    assert.strictEqual(session.sessionId, 'S1');
+    assert.deepStrictEqual(events, [{timestamp: 1}]);
+    transport.reply({method: 'Target.detachedFromTarget', params: {sessionId: 'S1'}});
+    assert.ok(session.isDetached);
+  });
+
+  it('rejects pending and later commands once closed', async () => {
+    const pending = connection.session.send('Browser.getVersion');
+    transport.close();
+    await assert.rejects(pending, /CDP connection closed/);
+    await assert.rejects(connection.session.send('Browser.getVersion'), /CDP connection is closed/);
+    assert.ok(connection.isClosed);
+  });
+});
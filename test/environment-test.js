@@ -0,0 +1,182 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const sinon = require('sinon');
+const {detectCIProvider, detectContainer, MIN_SHM_SIZE} = require('../dist/environment.js');
+const {BraveLauncher, detectEnvironment, getPlatform} = require('../dist/index.js');
+
+describe('detectCIProvider', () => {
+  it('names the provider from its variable', () => {
+    assert.strictEqual(detectCIProvider({GITHUB_ACTIONS: 'true', CI: 'true'}), 'github-actions');
+    assert.strictEqual(detectCIProvider({GITLAB_CI: 'true', CI: 'true'}), 'gitlab');
+    assert.strictEqual(detectCIProvider({JENKINS_URL: 'http://ci'}), 'jenkins');
+    assert.strictEqual(detectCIProvider({TF_BUILD: 'True'}), 'azure-pipelines');
+  });
+
+  it('falls back to unknown when only CI is set', () => {
+    assert.strictEqual(detectCIProvider({CI: 'true'}), 'unknown');
+    assert.strictEqual(detectCIProvider({CI: '1'}), 'unknown');
+  });
+
+  it('reports no CI without the variables or with CI=false', () => {
+    assert.strictEqual(detectCIProvider({}), null);
+    assert.strictEqual(detectCIProvider({CI: 'false'}), null);
+    assert.strictEqual(detectCIProvider({CI: ''}), null);
+  });
+});
+
+describe('detectContainer', () => {
+  const HOST_ROOT = '29 1 8:1 / / rw,relatime - ext4 /dev/sda1 rw';
+  let files;
+
+  before(function() {
+    if (getPlatform() !== 'linux') this.skip();
+  });
+
+  beforeEach(() => {
+    files = {'/proc/self/cgroup': '0::/\n', '/proc/self/mountinfo': `${HOST_ROOT}\n`};
+    const {existsSync, readFileSync} = fs;
+    sinon.stub(fs, 'existsSync').callsFake(file => {
+      if (file === '/.dockerenv' || file === '/run/.containerenv') return file in files;
+      return existsSync(file);
+    });
+    sinon.stub(fs, 'readFileSync').callsFake((file, ...args) => {
+      if (typeof file === 'string' && file.startsWith('/proc/self/')) {
+        if (file in files) return files[file];
+        throw Object.assign(new Error(`ENOENT: ${file}`), {code: 'ENOENT'});
+      }
+      return readFileSync(file, ...args);
+    });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('reports no container on a plain host', () => {
+    assert.strictEqual(detectContainer({}), null);
+  });
+
+  it('ignores other containers\' overlays in the host mount table', () => {
+    files['/proc/self/mountinfo'] += '100 29 0:50 / /var/lib/docker/overlay2/abc/merged rw - overlay overlay ' +
+        'rw,lowerdir=/var/lib/docker/overlay2/l/X\n';
+    assert.strictEqual(detectContainer({}), null);
+  });
+
+  it('detects Docker from /.dockerenv, cgroup v1 or the root overlay', () => {
+    assert.strictEqual(detectContainer({}), null);
+    files['/.dockerenv'] = '';
+    assert.strictEqual(detectContainer({}), 'docker');
+    delete files['/.dockerenv'];
+
+    files['/proc/self/cgroup'] = '12:memory:/docker/0123abcd\n0::/\n';
+    assert.strictEqual(detectContainer({}), 'docker');
+
+    files['/proc/self/cgroup'] = '0::/\n';
+    files['/proc/self/mountinfo'] = '612 522 0:52 / / rw,relatime - overlay overlay ' +
+        'rw,lowerdir=/var/lib/docker/overlay2/l/ABC,upperdir=/var/lib/docker/overlay2/xyz/diff\n';
+    assert.strictEqual(detectContainer({}), 'docker');
+  });
+
+  it('detects Podman from its marker file, $container or libpod cgroups', () => {
+    files['/run/.containerenv'] = '';
+    assert.strictEqual(detectContainer({}), 'podman');
+    delete files['/run/.containerenv'];
+    assert.strictEqual(detectContainer({container: 'podman'}), 'podman');
+    files['/proc/self/cgroup'] = '1:name=systemd:/machine.slice/libpod-0123.scope\n';
+    assert.strictEqual(detectContainer({}), 'podman');
+  });
+
+  it('prefers Kubernetes over the runtime underneath', () => {
+    files['/.dockerenv'] = '';
+    assert.strictEqual(detectContainer({KUBERNETES_SERVICE_HOST: '10.0.0.1'}), 'kubernetes');
+    files['/proc/self/cgroup'] = '11:cpu:/kubepods/burstable/pod1234/abcd\n';
+    assert.strictEqual(detectContainer({}), 'kubernetes');
+  });
+
+  it('detects LXC and falls back to unknown for other $container values', () => {
+    assert.strictEqual(detectContainer({container: 'lxc'}), 'lxc');
+    assert.strictEqual(detectContainer({container: 'systemd-nspawn'}), 'unknown');
+  });
+});
+
+describe('detectEnvironment', () => {
+  it('reports the machine along with what env says', () => {
+    const report = detectEnvironment({GITLAB_CI: 'true', HEADLESS: '1', DISPLAY: ':5'});
+    assert.strictEqual(report.platform, getPlatform());
+    assert.strictEqual(report.ci, 'gitlab');
+    assert.strictEqual(report.headless, true);
+    assert.deepStrictEqual(report.display, {wayland: null, x11: ':5'});
+    assert.strictEqual(report.root, !!process.getuid && process.getuid() === 0);
+    assert.ok(report.shmSize === null || report.shmSize > 0);
+    assert.strictEqual(detectEnvironment({}).ci, null);
+  });
+});
+
+describe('planAutoLaunch', () => {
+  const launcher = new BraveLauncher({bravePath: '/usr/bin/brave', launchMode: 'auto', logLevel: 'silent'});
+  const plan = overrides => launcher.planAutoLaunch({
+    platform: 'linux',
+    container: null,
+    root: false,
+    shmSize: 8 * 1024 * 1024 * 1024,
+    wsl: false,
+    wslg: false,
+    ci: null,
+    headless: false,
+    display: {wayland: null, x11: ':0'},
+    xvfb: false,
+    waylandCompositor: null,
+    ...overrides,
+  });
+  const noDisplay = {display: {wayland: null, x11: null}};
+
+  it('uses the display there is', () => {
+    assert.deepStrictEqual(plan({}), {mode: 'gui', flags: []});
+    assert.strictEqual(plan({display: {wayland: '/run/user/1000/wayland-0', x11: null}}).mode, 'gui');
+  });
+
+  it('goes headless for HEADLESS, and on CI with a display', () => {
+    assert.strictEqual(plan({headless: true}).mode, 'headless');
+    assert.strictEqual(plan({ci: 'github-actions'}).mode, 'headless');
+  });
+
+  it('provides a display on Linux without one, Xvfb first', () => {
+    assert.strictEqual(plan({...noDisplay, xvfb: true, waylandCompositor: 'weston'}).mode, 'xvfb-gui');
+    assert.strictEqual(plan({...noDisplay, waylandCompositor: 'cage'}).mode, 'wayland-gui');
+    assert.strictEqual(plan({...noDisplay}).mode, 'headless');
+    // Even on CI: a virtual display beats headless.
+    assert.strictEqual(plan({...noDisplay, ci: 'gitlab', xvfb: true}).mode, 'xvfb-gui');
+  });
+
+  it('uses the GUI outside Linux', () => {
+    assert.strictEqual(plan({platform: 'darwin', ...noDisplay}).mode, 'gui');
+    assert.strictEqual(plan({platform: 'wsl', wsl: true, wslg: true}).mode, 'gui');
+    assert.strictEqual(plan({platform: 'win32', headless: true}).mode, 'headless');
+  });
+
+  it('disables the sandbox as root and /dev/shm when it is small', () => {
+    assert.deepStrictEqual(plan({root: true}).flags, ['--no-sandbox']);
+    assert.deepStrictEqual(plan({shmSize: 64 * 1024 * 1024, container: 'docker'}).flags, ['--disable-dev-shm-usage']);
+    assert.deepStrictEqual(plan({shmSize: MIN_SHM_SIZE}).flags, []);
+    assert.deepStrictEqual(plan({shmSize: null}).flags, []);
+  });
+
+  it('adds no Linux flags on other platforms', () => {
+    assert.deepStrictEqual(plan({platform: 'wsl', wsl: true, root: true, shmSize: 1024}).flags, []);
+  });
+
+  it('adds its flags only in auto mode', () => {
+    const explicit = new BraveLauncher({bravePath: '/usr/bin/brave', launchMode: 'headless', logLevel: 'silent'});
+    sinon.stub(process, 'getuid').returns(0);
+    try {
+      assert.ok(!explicit.flags.includes('--no-sandbox'));
+    } finally {
+      sinon.restore();
+    }
+  });
+});
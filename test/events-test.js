@@ -0,0 +1,82 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const {BraveLauncher, launch} = require('../dist/index.js');
+const {FAKE_BRAVE, fakeBrave} = require('./helpers.js');
+
+describe('lifecycle events', function() {
+  this.timeout(20000);
+
+  function record(emitter, events) {
+    const seen = [];
+    for (const event of events) {
+      emitter.on(event, payload => seen.push([event, payload]));
+    }
+    return seen;
+  }
+
+  it('reports spawn, readiness, ready, exit and cleanup in order', async () => {
+    const launcher = new BraveLauncher(fakeBrave());
+    const seen = record(launcher, ['spawn', 'readiness-poll', 'ready', 'exit', 'crash', 'cleanup']);
+    await launcher.launch();
+    await launcher.kill();
+
+    const names = seen.map(([event]) => event);
+    assert.strictEqual(names[0], 'spawn');
+    assert.deepStrictEqual(names.slice(-3), ['ready', 'exit', 'cleanup']);
+    assert.ok(names.slice(1, -3).every(name => name === 'readiness-poll'));
+
+    const spawn = seen[0][1];
+    assert.strictEqual(spawn.pid, launcher.pid);
+    assert.strictEqual(spawn.executablePath, FAKE_BRAVE);
+    assert.ok(spawn.flags.includes('--headless'));
+
+    const polls = seen.filter(([event]) => event === 'readiness-poll').map(([, poll]) => poll);
+    assert.ok(polls[polls.length - 1].ready);
+    assert.deepStrictEqual(polls.map(poll => poll.attempt), polls.map((poll, i) => i + 1));
+
+    const ready = seen.find(([event]) => event === 'ready')[1];
+    assert.strictEqual(ready.port, launcher.port);
+    assert.match(ready.browserWSEndpoint, /^ws:\/\/127\.0\.0\.1:\d+\/devtools\/browser\/fake$/);
+    assert.ok(ready.launchTime >= 0);
+
+    assert.deepStrictEqual(
+        seen.find(([event]) => event === 'exit')[1], {pid: spawn.pid, exitCode: null, signal: 'SIGKILL'});
+  });
+
+  it('reports a crash after launch, with the stderr tail', async () => {
+    const brave = await launch(fakeBrave({crashAfter: 200}));
+    const crash = await new Promise(resolve => brave.once('crash', resolve));
+    assert.strictEqual(crash.pid, brave.pid);
+    assert.strictEqual(crash.exitCode, 1);
+    assert.match(crash.stderr, /DevTools listening on/);
+    await brave.kill();
+  });
+
+  it('streams stderr lines to listeners', async () => {
+    const launcher = new BraveLauncher(fakeBrave());
+    const lines = [];
+    launcher.on('stderr-line', line => lines.push(line));
+    await launcher.launch();
+    await launcher.kill();
+    assert.ok(lines.some(line => /^DevTools listening on ws:/.test(line)), lines.join('\n'));
+    assert.ok(lines.every(line => line !== ''));
+  });
+
+  it('subscribes through the handle and unsubscribes with off', async () => {
+    const brave = await launch(fakeBrave());
+    const exits = [];
+    const listener = exit => exits.push(exit);
+    assert.strictEqual(brave.on('exit', listener), brave);
+    brave.off('exit', listener);
+    const cleanup = new Promise(resolve => brave.once('cleanup', resolve));
+    await brave.kill();
+    await cleanup;
+    assert.deepStrictEqual(exits, []);
+  });
+});
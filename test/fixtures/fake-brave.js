@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * Stands in for Brave in the tests: serves /json/version and a browser-level
+ * CDP WebSocket on --remote-debugging-port, writes DevToolsActivePort and
+ * prints "DevTools listening on" like the real thing. It records its
+ * arguments and display in <userDataDir>/fake-brave.json and creates
+ * <userDataDir>/fake-brave-closed when told to Browser.close.
+ *
+ * $FAKE_BRAVE holds the behavior as JSON, or a JSON array with one entry per
+ * run counted in the file $FAKE_BRAVE_RUNS (the last entry repeats):
+ *   exit         exit with this code before listening
+ *   delay        ms before listening, default 50
+ *   crashAfter   exit with code 1 this many ms after listening
+ *   ignoreTerm   survive SIGTERM
+ *   ignoreClose  answer Browser.close but keep running
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const args = process.argv.slice(2);
+const flag = name => {
+  const arg = args.find(arg => arg.startsWith(`${name}=`));
+  return arg === undefined ? undefined : arg.slice(name.length + 1);
+};
+
+if (args.includes('--version')) {
+  console.log('Brave Browser 130.1.70.117');
+  process.exit(0);
+}
+
+function behavior() {
+  const spec = JSON.parse(process.env.FAKE_BRAVE || '{}');
+  if (!Array.isArray(spec)) return spec;
+  const counter = process.env.FAKE_BRAVE_RUNS;
+  const run = counter && fs.existsSync(counter) ? Number(fs.readFileSync(counter, 'utf8')) : 0;
+  if (counter) fs.writeFileSync(counter, String(run + 1));
+  return spec[Math.min(run, spec.length - 1)] || {};
+}
+
+const options = behavior();
+const userDataDir = flag('--user-data-dir');
+if (userDataDir) {
+  fs.writeFileSync(path.join(userDataDir, 'fake-brave.json'), JSON.stringify({
+    pid: process.pid,
+    args,
+    env: {DISPLAY: process.env.DISPLAY, WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY},
+  }));
+}
+
+if (options.exit !== undefined) {
+  console.error('[0101/000000.000000:FATAL:fake_brave.cc(1)] Startup failed');
+  process.exit(options.exit);
+}
+
+function frame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function onCommand(socket, {id, method}) {
+  const reply = result => socket.write(frame(JSON.stringify({id, result})));
+  switch (method) {
+    case 'Browser.getVersion':
+      return reply({product: 'Chrome/130.0.6723.70', protocolVersion: '1.3'});
+    case 'Browser.getBrowserCommandLine':
+      return reply({arguments: [process.argv[1], ...args]});
+    case 'Browser.close':
+      if (userDataDir) fs.writeFileSync(path.join(userDataDir, 'fake-brave-closed'), '');
+      reply({});
+      if (!options.ignoreClose) setTimeout(() => process.exit(0), 20);
+      return;
+    default:
+      return reply({});
+  }
+}
+
+const server = http.createServer((request, response) => {
+  response.setHeader('Content-Type', 'application/json');
+  response.end(JSON.stringify({
+    'Browser': 'Chrome/130.0.6723.70',
+    'Protocol-Version': '1.3',
+    'User-Agent': 'Mozilla/5.0 Chrome/130.0.0.0 Safari/537.36',
+    'webSocketDebuggerUrl': `ws://127.0.0.1:${server.address().port}/devtools/browser/fake`,
+  }));
+});
+
+server.on('upgrade', (request, socket) => {
+  const accept = crypto.createHash('sha1')
+      .update(request.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+      .digest('base64');
+  socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  let buffer = Buffer.alloc(0);
+  socket.on('error', () => {});
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    // Client frames are always masked and CDP commands stay below 64KiB.
+    while (buffer.length >= 2) {
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      }
+      if (buffer.length < offset + 4 + length) return;
+      const mask = buffer.slice(offset, offset + 4);
+      const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      const opcode = buffer[0] & 0x0f;
+      buffer = buffer.slice(offset + 4 + length);
+      if (opcode === 0x8) {
+        socket.end();
+        return;
+      }
+      if (opcode === 0x1) onCommand(socket, JSON.parse(payload.toString()));
+    }
+  });
+});
+
+// Like Brave, keep running without DevTools when the port is taken.
+server.on('error', () => {
+  console.error('[0101/000000.000000:ERROR:devtools_http_handler.cc(1)] Cannot start http server for devtools.');
+  setInterval(() => {}, 1000);
+});
+
+setTimeout(() => {
+  server.listen(Number(flag('--remote-debugging-port') || 0), '127.0.0.1', () => {
+    const {port} = server.address();
+    if (userDataDir) {
+      fs.writeFileSync(path.join(userDataDir, 'DevToolsActivePort'), `${port}\n/devtools/browser/fake`);
+    }
+    console.error(`\nDevTools listening on ws://127.0.0.1:${port}/devtools/browser/fake`);
+    if (options.crashAfter !== undefined) {
+      setTimeout(() => process.exit(1), options.crashAfter);
+    }
+  });
+}, options.delay === undefined ? 50 : options.delay);
+
+process.on('SIGTERM', () => {
+  if (!options.ignoreTerm) process.exit(0);
+});
@@ -0,0 +1,126 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const {FlagSet, findFlagProblems} = require('../dist/flag-set.js');
+const {BraveLauncher, ErrorCategory} = require('../dist/index.js');
+
+function launcherFlags(options) {
+  const launcher = new BraveLauncher(
+      {bravePath: '/usr/bin/brave', launchMode: 'headless', logLevel: 'silent', ...options});
+  return launcher.flags;
+}
+
+describe('FlagSet', () => {
+  it('keeps one entry per switch, the last value winning', () => {
+    const flags = new FlagSet(['--lang=en', '--mute-audio', '--lang=de']);
+    assert.deepStrictEqual(flags.toArray(), ['--lang=de', '--mute-audio']);
+    assert.strictEqual(flags.get('lang'), 'de');
+    assert.strictEqual(flags.get('--mute-audio'), null);
+    assert.strictEqual(flags.get('--absent'), undefined);
+  });
+
+  it('merges feature lists instead of replacing them', () => {
+    const flags = new FlagSet(['--enable-features=A,B', '--disable-features=C']);
+    flags.add('--enable-features=D', '--disable-features=E,A');
+    assert.deepStrictEqual(flags.enabledFeatures, ['B', 'D']);
+    assert.deepStrictEqual(flags.disabledFeatures, ['C', 'E', 'A']);
+    assert.deepStrictEqual(flags.toArray(), ['--enable-features=B,D', '--disable-features=C,E,A']);
+  });
+
+  it('moves a feature from one list to the other when it is toggled', () => {
+    const flags = new FlagSet(['--disable-features=BraveWallet']);
+    flags.enableFeatures('BraveWallet');
+    assert.deepStrictEqual(flags.toArray(), ['--enable-features=BraveWallet']);
+  });
+
+  it('drops empty feature switches and keeps arguments last', () => {
+    const flags = new FlagSet(['about:blank', '--disable-features=A', '--no-first-run']);
+    flags.removeFeatures('A');
+    assert.deepStrictEqual(flags.toArray(), ['--no-first-run', 'about:blank']);
+  });
+
+  it('removes switches and whole feature lists', () => {
+    const flags = new FlagSet(['--mute-audio', '--enable-features=A', '--disable-features=B']);
+    flags.remove('mute-audio', '--enable-features');
+    assert.deepStrictEqual(flags.toArray(), ['--disable-features=B']);
+  });
+
+  it('quotes the command line for a shell', () => {
+    const flags = new FlagSet(['--user-agent=a b', '--lang=en']);
+    assert.strictEqual(
+        flags.commandLine('/opt/brave'), '/opt/brave "--user-agent=a b" --lang=en');
+  });
+});
+
+describe('findFlagProblems', () => {
+  it('accepts well-formed flags', () => {
+    assert.deepStrictEqual(findFlagProblems(['--a', '-b', '--c=1', 'https://example.com']), []);
+  });
+
+  it('reports malformed entries', () => {
+    const problems = findFlagProblems(['', '--', '--=x', '--a b']);
+    assert.deepStrictEqual(problems.map(p => p.kind), ['syntax', 'syntax', 'syntax', 'syntax']);
+  });
+
+  it('tells duplicates from contradictions', () => {
+    const problems = findFlagProblems(['--lang=en', '--lang=en', '--lang=de']);
+    assert.deepStrictEqual(problems.map(p => [p.kind, p.flag]), [
+      ['duplicate', '--lang=en'],
+      ['conflict', '--lang=de'],
+    ]);
+  });
+
+  it('reports features both enabled and disabled', () => {
+    const problems = findFlagProblems(['--enable-features=A,B', '--disable-features=B']);
+    assert.strictEqual(problems.length, 1);
+    assert.strictEqual(problems[0].kind, 'conflict');
+    assert.match(problems[0].message, /feature B/);
+  });
+
+  it('reports switches the caller manages', () => {
+    const problems = findFlagProblems(
+        ['--remote-debugging-port=9222'], {'--remote-debugging-port': 'is set by the launcher'});
+    assert.deepStrictEqual(problems.map(p => p.message), ['--remote-debugging-port=9222 is set by the launcher']);
+  });
+});
+
+describe('launcher flags', () => {
+  it('merges braveFlags features into the default lists', () => {
+    const flags = launcherFlags({braveFlags: ['--disable-features=Foo', '--enable-features=BraveWallet']});
+    const disabled = flags.find(flag => flag.startsWith('--disable-features=')).split('=')[1].split(',');
+    assert.ok(disabled.includes('Translate'));
+    assert.ok(disabled.includes('Foo'));
+    assert.ok(!disabled.includes('BraveWallet'));
+    assert.ok(flags.includes('--enable-features=BraveWallet'));
+  });
+
+  it('applies removeFlags and removeFeatures last', () => {
+    const flags = launcherFlags({
+      braveFlags: ['--mute-audio'],
+      removeFlags: ['--mute-audio', '--disable-extensions'],
+      removeFeatures: ['Translate'],
+    });
+    assert.ok(!flags.includes('--mute-audio'));
+    assert.ok(!flags.includes('--disable-extensions'));
+    const disabled = flags.find(flag => flag.startsWith('--disable-features='));
+    assert.ok(!disabled.split('=')[1].split(',').includes('Translate'));
+  });
+
+  it('rejects launcher-managed switches with strictFlags', () => {
+    assert.throws(
+        () => launcherFlags({strictFlags: true, port: 9222, braveFlags: ['--remote-debugging-port=1']}),
+        err => err.category === ErrorCategory.INVALID_FLAGS);
+    assert.throws(
+        () => launcherFlags({strictFlags: true, launchMode: 'gui', braveFlags: ['--headless']}),
+        err => err.category === ErrorCategory.INVALID_FLAGS);
+  });
+
+  it('only warns about problems without strictFlags', () => {
+    assert.doesNotThrow(() => launcherFlags({braveFlags: ['--lang=en', '--lang=de']}));
+  });
+});
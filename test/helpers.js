@@ -0,0 +1,84 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FAKE_BRAVE = path.join(__dirname, 'fixtures', 'fake-brave.js');
+const FAKE_BIN = path.join(__dirname, 'fixtures', 'bin');
+
+// Launchers set the level from their logLevel; keep the rest quiet too.
+require('../dist/logger.js').default.setLevel('silent');
+
+/**
+ * Launcher options that start test/fixtures/fake-brave.js with `behavior`,
+ * an object or an array with one entry per run (see the fixture).
+ */
+function fakeBrave(behavior = {}, options = {}) {
+  const envVars = {...process.env, FAKE_BRAVE: JSON.stringify(behavior), ...options.envVars};
+  if (Array.isArray(behavior) && !envVars.FAKE_BRAVE_RUNS) {
+    envVars.FAKE_BRAVE_RUNS = path.join(makeTmpDir(), 'runs');
+  }
+  return {
+    bravePath: FAKE_BRAVE,
+    launchMode: 'headless',
+    logLevel: 'silent',
+    connectionPollInterval: 50,
+    ...options,
+    envVars,
+  };
+}
+
+const tmpDirs = [];
+
+/** A temp directory removed when the test process exits. */
+function makeTmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brave-launcher-test-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+process.on('exit', () => {
+  for (const dir of tmpDirs) {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
+
+/**
+ * Puts test/fixtures/bin first on process.env.PATH, which the launcher
+ * searches for Xvfb and weston. Returns a function that restores PATH.
+ */
+function useFakeBin() {
+  const {PATH} = process.env;
+  process.env.PATH = `${FAKE_BIN}${path.delimiter}${PATH}`;
+  return () => {
+    process.env.PATH = PATH;
+  };
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/** Resolves once `condition()` holds, polling every 10ms for up to `timeout` ms. */
+async function waitFor(condition, timeout = 5000) {
+  const end = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > end) {
+      throw new Error(`Condition not met after ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {FAKE_BRAVE, FAKE_BIN, fakeBrave, makeTmpDir, useFakeBin, isAlive, waitFor};
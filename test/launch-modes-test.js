@@ -0,0 +1,77 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {BraveLauncher, launch, getPlatform} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir, useFakeBin, isAlive} = require('./helpers.js');
+
+// What the fake Brave was started with.
+function spawned(userDataDir) {
+  return JSON.parse(fs.readFileSync(path.join(userDataDir, 'fake-brave.json'), 'utf-8'));
+}
+
+describe('launch modes', function() {
+  this.timeout(20000);
+
+  for (const [launchMode, flag] of [
+    ['headless', '--headless'],
+    ['headless-new', '--headless=new'],
+    ['headless-old', '--headless=old'],
+  ]) {
+    it(`passes ${flag} for ${launchMode} and reports the mode`, async () => {
+      const userDataDir = makeTmpDir();
+      const brave = await launch(fakeBrave({}, {launchMode, userDataDir}));
+      await brave.kill();
+      assert.strictEqual(brave.launchMode, launchMode);
+      const headless = spawned(userDataDir).args.filter(arg => arg.startsWith('--headless'));
+      assert.deepStrictEqual(headless, [flag]);
+    });
+  }
+
+  it('passes no --headless for gui', () => {
+    const launcher = new BraveLauncher(fakeBrave({}, {launchMode: 'gui'}));
+    assert.strictEqual(launcher.effectiveLaunchMode, 'gui');
+    assert.ok(!launcher.flags.some(flag => flag.startsWith('--headless')));
+  });
+
+  describe('xvfb-gui', () => {
+    let restorePath;
+
+    before(function() {
+      if (getPlatform() !== 'linux') this.skip();
+      restorePath = useFakeBin();
+    });
+
+    after(() => {
+      if (restorePath) restorePath();
+    });
+
+    it('runs the full UI on a new Xvfb display', async () => {
+      const userDataDir = makeTmpDir();
+      const launcher = new BraveLauncher(fakeBrave({}, {launchMode: 'xvfb-gui', userDataDir}));
+      const started = new Promise(resolve => launcher.once('xvfb-started', resolve));
+      await launcher.launch();
+      const {display} = await started;
+      const xvfbPid = launcher.xvfbManager.xvfbProcess.pid;
+      await launcher.kill();
+
+      const {args, env} = spawned(userDataDir);
+      assert.ok(!args.some(arg => arg.startsWith('--headless')));
+      assert.match(display, /^:\d+$/);
+      assert.strictEqual(env.DISPLAY, display);
+      assert.ok(!isAlive(xvfbPid));
+    });
+
+    it('is what auto picks on Linux without a display when Xvfb is installed', () => {
+      const launcher = new BraveLauncher(
+          {bravePath: '/usr/bin/brave', launchMode: 'auto', logLevel: 'silent', envVars: {PATH: process.env.PATH}});
+      assert.strictEqual(launcher.effectiveLaunchMode, 'xvfb-gui');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const {EventEmitter} = require('events');
+const braveLauncher = require('../dist/brave-launcher.js');
+const {BravePool, ErrorCategory, createLaunchFailedError} = require('../dist/index.js');
+require('./helpers.js');
+
+// Stands in for what launch() resolves with.
+class StubBrave extends EventEmitter {
+  constructor(pid) {
+    super();
+    this.pid = pid;
+    this.killed = false;
+    // Replaced to make the health check hang or fail.
+    this.getVersion = () => Promise.resolve({product: 'Chrome/130'});
+  }
+
+  connect() {
+    return Promise.resolve({send: () => this.getVersion()});
+  }
+
+  exit() {
+    this.emit('exit', {pid: this.pid, exitCode: 1, signal: null});
+  }
+
+  kill() {
+    if (!this.killed) {
+      this.killed = true;
+      this.emit('exit', {pid: this.pid, exitCode: null, signal: 'SIGKILL'});
+    }
+    return Promise.resolve({exitCode: null, signal: 'SIGKILL', tmpDirRemoved: true});
+  }
+}
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BravePool', () => {
+  let launched;
+  let launch;
+  // While set, launches wait for it to resolve.
+  let gate;
+
+  beforeEach(() => {
+    launched = [];
+    gate = undefined;
+    launch = sinon.stub(braveLauncher, 'launch').callsFake(async () => {
+      const brave = new StubBrave(1000 + launched.length);
+      launched.push(brave);
+      if (gate) await gate;
+      return brave;
+    });
+  });
+
+  afterEach(() => sinon.restore());
+
+  const alive = () => launched.filter(brave => !brave.killed);
+
+  it('rejects invalid limits and a fixed port', () => {
+    const invalid = err => err.category === ErrorCategory.INVALID_CONFIG;
+    assert.throws(() => new BravePool({max: 0}), invalid);
+    assert.throws(() => new BravePool({min: 3, max: 2}), invalid);
+    assert.throws(() => new BravePool({launchOptions: {port: 9222}}), invalid);
+  });
+
+  it('warms min instances on start and leases them out', async () => {
+    const pool = new BravePool({min: 2, max: 3});
+    await pool.start();
+    assert.deepStrictEqual([pool.size, pool.available, pool.borrowed], [2, 2, 0]);
+
+    const lease = await pool.acquire();
+    assert.strictEqual(lease.brave, launched[0]);
+    assert.strictEqual(lease.uses, 1);
+    assert.deepStrictEqual([pool.size, pool.available, pool.borrowed], [2, 1, 1]);
+
+    // Released instances queue up behind the idle ones.
+    await lease.release();
+    assert.strictEqual((await pool.acquire()).brave, launched[1]);
+    const again = await pool.acquire();
+    assert.strictEqual(again.brave, lease.brave);
+    assert.strictEqual(again.uses, 2);
+    assert.strictEqual(launch.callCount, 2);
+    await pool.shutdown();
+  });
+
+  it('launches up to max and then waits for a release', async () => {
+    const pool = new BravePool({max: 2, acquireTimeout: 1000});
+    const first = await pool.acquire();
+    await pool.acquire();
+    const third = pool.acquire();
+    await tick(20);
+    assert.strictEqual(launch.callCount, 2);
+    await first.release();
+    assert.strictEqual((await third).brave, first.brave);
+    await pool.shutdown();
+  });
+
+  it('rejects after acquireTimeout when no instance frees up', async () => {
+    const pool = new BravePool({max: 1, acquireTimeout: 50});
+    await pool.acquire();
+    await assert.rejects(pool.acquire(), err => err.category === ErrorCategory.POOL_EXHAUSTED);
+    await pool.shutdown();
+  });
+
+  it('does not launch past max while an idle instance is health checked', async () => {
+    const pool = new BravePool({min: 1, max: 1, acquireTimeout: 200});
+    await pool.start();
+    let answer;
+    launched[0].getVersion = () => new Promise(resolve => answer = resolve);
+
+    const first = pool.acquire();
+    const second = pool.acquire();
+    await tick(20);
+    assert.strictEqual(pool.size, 1);
+    answer({});
+    await first;
+    await assert.rejects(second, err => err.category === ErrorCategory.POOL_EXHAUSTED);
+    assert.strictEqual(launch.callCount, 1);
+    await pool.shutdown();
+  });
+
+  it('replaces an instance that fails its health check', async () => {
+    const pool = new BravePool({min: 1, max: 1, healthCheckTimeout: 50});
+    await pool.start();
+    launched[0].getVersion = () => new Promise(() => {});
+    const lease = await pool.acquire();
+    assert.strictEqual(lease.brave, launched[1]);
+    assert.ok(launched[0].killed);
+    await pool.shutdown();
+  });
+
+  it('recycles instances after maxUses and keeps min warm', async () => {
+    const pool = new BravePool({min: 1, max: 1, maxUses: 2});
+    await pool.start();
+    await (await pool.acquire()).release();
+    await (await pool.acquire()).release();
+    assert.ok(launched[0].killed);
+    await tick();
+    assert.strictEqual(launched.length, 2);
+    assert.strictEqual(pool.available, 1);
+    await pool.shutdown();
+  });
+
+  it('recycles idle instances older than maxAge', async () => {
+    const pool = new BravePool({min: 1, max: 1, maxAge: 30});
+    await pool.start();
+    await tick(50);
+    const lease = await pool.acquire();
+    assert.ok(launched[0].killed);
+    assert.strictEqual(lease.brave, launched[1]);
+    await pool.shutdown();
+  });
+
+  it('kills a released instance with destroy', async () => {
+    const pool = new BravePool({max: 1});
+    const lease = await pool.acquire();
+    await lease.release({destroy: true});
+    assert.ok(lease.brave.killed);
+    assert.strictEqual(pool.size, 0);
+  });
+
+  it('replaces an idle instance that exited', async () => {
+    const pool = new BravePool({min: 1, max: 1});
+    await pool.start();
+    launched[0].exit();
+    await tick();
+    assert.strictEqual(launched.length, 2);
+    assert.strictEqual((await pool.acquire()).brave, launched[1]);
+    await pool.shutdown();
+  });
+
+  it('keeps the instances that started when a fill launch fails', async () => {
+    launch.onCall(1).rejects(createLaunchFailedError(new Error('no')));
+    const pool = new BravePool({min: 3, max: 3});
+    await assert.rejects(pool.start(), err => err.category === ErrorCategory.LAUNCH_FAILED);
+    assert.strictEqual(pool.size, 2);
+    await pool.shutdown();
+    assert.deepStrictEqual(alive(), []);
+  });
+
+  it('drain() waits for leases and then kills everything', async () => {
+    const pool = new BravePool({min: 2, max: 2});
+    await pool.start();
+    const lease = await pool.acquire();
+    let drained = false;
+    const drain = pool.drain().then(errors => {
+      drained = true;
+      return errors;
+    });
+    await tick(20);
+    assert.ok(!drained);
+    await assert.rejects(pool.acquire(), err => err.category === ErrorCategory.POOL_CLOSED);
+    await lease.release();
+    assert.deepStrictEqual(await drain, []);
+    assert.deepStrictEqual(alive(), []);
+  });
+
+  it('shutdown() kills leased instances too', async () => {
+    const pool = new BravePool({max: 2});
+    const lease = await pool.acquire();
+    assert.deepStrictEqual(await pool.shutdown(), []);
+    assert.ok(lease.brave.killed);
+    assert.strictEqual(pool.size, 0);
+  });
+
+  it('kills an instance whose launch finishes after shutdown()', async () => {
+    let open;
+    gate = new Promise(resolve => open = resolve);
+    const pool = new BravePool({max: 1});
+    const acquire = pool.acquire();
+    await tick();
+    await pool.shutdown();
+    open();
+    await assert.rejects(acquire, err => err.category === ErrorCategory.POOL_CLOSED);
+    assert.deepStrictEqual(alive(), []);
+    assert.strictEqual(pool.size, 0);
+  });
+
+  it('drain() waits for an instance under health check', async () => {
+    const pool = new BravePool({min: 1, max: 1});
+    await pool.start();
+    let answer;
+    launched[0].getVersion = () => new Promise(resolve => answer = resolve);
+    const acquire = pool.acquire();
+    await tick();
+    const drain = pool.drain();
+    answer({});
+    await assert.rejects(acquire, err => err.category === ErrorCategory.POOL_CLOSED);
+    await drain;
+    assert.deepStrictEqual(alive(), []);
+  });
+});
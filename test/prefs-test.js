@@ -0,0 +1,89 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {mergePrefs, removePrefs} = require('../dist/prefs.js');
+const {launch} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir} = require('./helpers.js');
+
+describe('mergePrefs', () => {
+  it('merges nested objects key by key', () => {
+    const base = {brave: {shields: {on: true}, news: false}, intl: {accept_languages: 'en'}};
+    const merged = mergePrefs(base, {brave: {shields: {level: 2}}});
+    assert.deepStrictEqual(merged, {
+      brave: {shields: {on: true, level: 2}, news: false},
+      intl: {accept_languages: 'en'},
+    });
+  });
+
+  it('replaces arrays and scalars instead of merging them', () => {
+    const merged = mergePrefs({list: [1, 2], value: {a: 1}}, {list: [3], value: 'x'});
+    assert.deepStrictEqual(merged, {list: [3], value: 'x'});
+  });
+
+  it('replaces a scalar with an object and keeps null overrides', () => {
+    assert.deepStrictEqual(mergePrefs({a: 1, b: 2}, {a: {c: 3}, b: null}), {a: {c: 3}, b: null});
+  });
+
+  it('modifies neither argument', () => {
+    const base = {a: {b: 1}};
+    const overrides = {a: {c: 2}};
+    mergePrefs(base, overrides);
+    assert.deepStrictEqual(base, {a: {b: 1}});
+    assert.deepStrictEqual(overrides, {a: {c: 2}});
+  });
+});
+
+describe('removePrefs', () => {
+  it('deletes dotted and array paths in place', () => {
+    const prefs = {a: {b: {c: 1, d: 2}}, 'x.y': {z: 1}, e: 3};
+    removePrefs(prefs, ['a.b.c', ['x.y', 'z'], 'e']);
+    assert.deepStrictEqual(prefs, {a: {b: {d: 2}}, 'x.y': {}});
+  });
+
+  it('ignores paths that do not exist', () => {
+    const prefs = {a: {b: 1}, s: 'string'};
+    removePrefs(prefs, ['missing.key', 'a.b.c', 's.length']);
+    assert.deepStrictEqual(prefs, {a: {b: 1}, s: 'string'});
+  });
+});
+
+describe('prefs files', function() {
+  this.timeout(20000);
+
+  const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  it('merges prefs and Local State into what the profile has', async () => {
+    const userDataDir = makeTmpDir();
+    fs.mkdirSync(path.join(userDataDir, 'Profile 1'));
+    fs.writeFileSync(
+        path.join(userDataDir, 'Profile 1', 'Preferences'),
+        JSON.stringify({brave: {news: true, stats: {reported: true}}, keep: 1}));
+    fs.writeFileSync(path.join(userDataDir, 'Local State'), JSON.stringify({tor: {tor_disabled: true}, x: 1}));
+
+    const brave = await launch(fakeBrave({}, {
+      userDataDir,
+      profileDirectory: 'Profile 1',
+      prefs: {brave: {shields: {stats_badge_visible: false}}},
+      removePrefs: ['brave.stats'],
+      localState: {tor: {tor_disabled: false}},
+      removeLocalState: ['x'],
+    }));
+    await brave.kill();
+
+    const {args} = readJSON(path.join(userDataDir, 'fake-brave.json'));
+    assert.ok(args.includes('--profile-directory=Profile 1'), args.join(' '));
+    assert.deepStrictEqual(readJSON(path.join(userDataDir, 'Profile 1', 'Preferences')), {
+      brave: {news: true, shields: {stats_badge_visible: false}},
+      keep: 1,
+    });
+    assert.deepStrictEqual(readJSON(path.join(userDataDir, 'Local State')), {tor: {tor_disabled: false}});
+    assert.ok(!fs.existsSync(path.join(userDataDir, 'Default', 'Preferences')));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {BraveLauncher, launch, resolvePreset, PRESET_NAMES, ErrorCategory} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir} = require('./helpers.js');
+
+function launcherFlags(options) {
+  return new BraveLauncher(
+      {bravePath: '/usr/bin/brave', launchMode: 'headless', logLevel: 'silent', ...options}).flags;
+}
+
+describe('resolvePreset', () => {
+  it('resolves every preset by name', () => {
+    assert.deepStrictEqual(
+        PRESET_NAMES, ['ci', 'scraping', 'performance-audit', 'screenshot', 'privacy-max']);
+    for (const name of PRESET_NAMES) {
+      const preset = resolvePreset(name);
+      assert.strictEqual(preset.name, name);
+      assert.ok(preset.description);
+    }
+  });
+
+  it('takes options with the name', () => {
+    assert.deepStrictEqual(resolvePreset('scraping').braveFlags, ['--blink-settings=imagesEnabled=false']);
+    assert.deepStrictEqual(resolvePreset({name: 'scraping', images: true}).braveFlags, []);
+  });
+
+  it('rejects an unknown preset', () => {
+    const invalid = err => err.category === ErrorCategory.INVALID_CONFIG;
+    assert.throws(() => resolvePreset('fast'), invalid);
+    assert.throws(() => resolvePreset('toString'), invalid);
+    assert.throws(() => new BraveLauncher({preset: 'fast'}), invalid);
+  });
+});
+
+describe('launcher presets', function() {
+  this.timeout(20000);
+
+  it('adds the preset flags before the user flags', () => {
+    const flags = launcherFlags({preset: 'screenshot', braveFlags: ['--window-size=800,600']});
+    assert.ok(flags.includes('--hide-scrollbars'));
+    assert.ok(flags.includes('--window-size=800,600'));
+    assert.ok(!flags.includes('--window-size=1920,1080'));
+  });
+
+  it('applies the preset launch mode unless one is given', async () => {
+    const brave = await launch(fakeBrave({}, {preset: 'ci', launchMode: undefined}));
+    try {
+      assert.strictEqual(brave.launchMode, 'headless-new');
+      assert.ok(brave.commandLine.includes('--disable-dev-shm-usage'));
+    } finally {
+      await brave.kill();
+    }
+
+    const given = await launch(fakeBrave({}, {preset: 'ci', launchMode: 'headless-old'}));
+    assert.strictEqual(given.launchMode, 'headless-old');
+    await given.kill();
+  });
+
+  it('lets braveSettings override the preset settings', async () => {
+    const userDataDir = makeTmpDir();
+    const brave = await launch(
+        fakeBrave({}, {userDataDir, preset: 'privacy-max', braveSettings: {news: true}}));
+    await brave.kill();
+
+    const prefs = JSON.parse(fs.readFileSync(path.join(userDataDir, 'Default', 'Preferences'), 'utf-8'));
+    assert.strictEqual(prefs.brave.new_tab_page.show_brave_news, true);
+    assert.strictEqual(prefs.brave.rewards.show_brave_rewards_button_in_location_bar, false);
+    assert.strictEqual(prefs.profile.default_content_setting_values.braveCosmeticFiltering, 2);
+    assert.ok(brave.commandLine.includes('--no-pings'));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {launch, BraveLauncher, ErrorCategory} = require('../dist/index.js');
+const {copyProfileDirSync} = require('../dist/utils.js');
+const {fakeBrave, makeTmpDir} = require('./helpers.js');
+
+// A small user data dir with an extension, a lock and a cache.
+function makeTemplate() {
+  const template = makeTmpDir();
+  const extension = path.join(template, 'Default', 'Extensions', 'abc', '1.0');
+  fs.mkdirSync(extension, {recursive: true});
+  fs.writeFileSync(path.join(extension, 'manifest.json'), '{"name": "ext"}');
+  fs.writeFileSync(path.join(template, 'Default', 'Preferences'), '{"a": {"b": 1}}');
+  fs.writeFileSync(path.join(template, 'Local State'), '{}');
+  fs.mkdirSync(path.join(template, 'Default', 'Cache'));
+  fs.writeFileSync(path.join(template, 'Default', 'Cache', 'data_0'), 'cached');
+  fs.symlinkSync('host-1234', path.join(template, 'SingletonLock'));
+  fs.symlinkSync('manifest.json', path.join(extension, 'link.json'));
+  return template;
+}
+
+describe('copyProfileDirSync', () => {
+  it('copies everything but locks and caches', () => {
+    const template = makeTemplate();
+    const target = path.join(makeTmpDir(), 'copy');
+    copyProfileDirSync(template, target);
+
+    assert.deepStrictEqual(fs.readdirSync(target).sort(), ['Default', 'Local State']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(target, 'Default')).sort(), ['Extensions', 'Preferences']);
+    const extension = path.join(target, 'Default', 'Extensions', 'abc', '1.0');
+    assert.strictEqual(fs.readlinkSync(path.join(extension, 'link.json')), 'manifest.json');
+  });
+
+  it('never shares a file with the template', () => {
+    const template = makeTemplate();
+    const target = path.join(makeTmpDir(), 'copy');
+    copyProfileDirSync(template, target);
+
+    const manifest = path.join('Default', 'Extensions', 'abc', '1.0', 'manifest.json');
+    assert.strictEqual(fs.statSync(path.join(template, manifest)).nlink, 1);
+    fs.writeFileSync(path.join(target, manifest), '{"name": "changed"}');
+    assert.strictEqual(fs.readFileSync(path.join(template, manifest), 'utf-8'), '{"name": "ext"}');
+  });
+});
+
+describe('profileTemplate', function() {
+  this.timeout(20000);
+
+  it('seeds each temp profile and applies prefs on top', async () => {
+    const template = makeTemplate();
+    const brave = await launch(fakeBrave({}, {profileTemplate: template, prefs: {a: {c: 2}}}));
+    const userDataDir = brave.commandLine.match(/--user-data-dir=(\S+)/)[1];
+    try {
+      assert.notStrictEqual(userDataDir, template);
+      assert.ok(fs.existsSync(path.join(userDataDir, 'Default', 'Extensions', 'abc', '1.0', 'manifest.json')));
+      assert.deepStrictEqual(
+          JSON.parse(fs.readFileSync(path.join(userDataDir, 'Default', 'Preferences'), 'utf-8')),
+          {a: {b: 1, c: 2}});
+    } finally {
+      await brave.kill();
+    }
+    assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(path.join(template, 'Default', 'Preferences'), 'utf-8')), {a: {b: 1}});
+    assert.ok(!fs.existsSync(path.join(template, 'brave.pid')));
+  });
+
+  it('rejects a missing template and one combined with userDataDir', () => {
+    const invalid = err => err.category === ErrorCategory.INVALID_CONFIG;
+    assert.throws(() => new BraveLauncher(fakeBrave({}, {profileTemplate: '/nonexistent'})), invalid);
+    assert.throws(
+        () => new BraveLauncher(fakeBrave({}, {profileTemplate: makeTmpDir(), userDataDir: makeTmpDir()})),
+        invalid);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {hostname} = require('os');
+const {spawn, spawnSync} = require('child_process');
+const {launch, ProfileManager, ErrorCategory, getPlatform} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir} = require('./helpers.js');
+
+const locked = err => err.category === ErrorCategory.PROFILE_LOCKED;
+// The pid of a process that has exited.
+const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+describe('ProfileManager', () => {
+  let profiles;
+  let sleeper;
+
+  beforeEach(() => {
+    profiles = new ProfileManager(makeTmpDir());
+  });
+
+  afterEach(() => {
+    if (sleeper) sleeper.kill('SIGKILL');
+    sleeper = undefined;
+  });
+
+  // A live process that is not this one.
+  function startSleeper() {
+    sleeper = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], {stdio: 'ignore'});
+    return sleeper.pid;
+  }
+
+  function writeLock(name, content) {
+    fs.writeFileSync(path.join(profiles.root, name, 'profile.lock'), content);
+  }
+
+  it('creates, lists, clones, resets and deletes profiles', () => {
+    const created = profiles.create('a');
+    assert.strictEqual(created.userDataDir, path.join(profiles.root, 'a', 'user-data'));
+    assert.deepStrictEqual(
+        [created.lastUsedAt, created.lastBraveVersion, created.locked, created.lockedBy],
+        [null, null, false, null]);
+    fs.writeFileSync(path.join(created.userDataDir, 'Cookies'), 'c');
+
+    profiles.recordUse('a', '1.70.117');
+    const clone = profiles.clone('a', 'b');
+    assert.strictEqual(clone.lastBraveVersion, '1.70.117');
+    assert.ok(fs.existsSync(path.join(clone.userDataDir, 'Cookies')));
+    assert.deepStrictEqual(profiles.list().map(profile => profile.name), ['a', 'b']);
+
+    const reset = profiles.reset('b');
+    assert.deepStrictEqual(fs.readdirSync(reset.userDataDir), []);
+    assert.strictEqual(reset.lastBraveVersion, null);
+
+    profiles.delete('b');
+    assert.strictEqual(profiles.get('b'), undefined);
+    assert.throws(() => profiles.clone('a', 'a'), err => err.category === ErrorCategory.PROFILE_ERROR);
+    assert.throws(() => profiles.create('../up'), err => err.category === ErrorCategory.PROFILE_ERROR);
+  });
+
+  it('refuses a second lock and frees it on release', () => {
+    profiles.create('a');
+    const lock = profiles.lock('a');
+    assert.strictEqual(profiles.get('a').lockedBy, process.pid);
+    assert.throws(() => profiles.lock('a'), locked);
+    assert.throws(() => profiles.delete('a'), locked);
+    lock.release();
+    assert.strictEqual(profiles.get('a').locked, false);
+    profiles.lock('a').release();
+  });
+
+  it('takes over the lock of a dead process', () => {
+    profiles.create('a');
+    writeLock('a', `${deadPid}\n${hostname()}`);
+    assert.strictEqual(profiles.get('a').locked, false);
+    profiles.lock('a').release();
+  });
+
+  it('holds the lock while the recorded Brave runs', () => {
+    profiles.create('a');
+    const bravePid = startSleeper();
+    writeLock('a', `${deadPid}\n${hostname()}\n${bravePid}`);
+    assert.strictEqual(profiles.get('a').lockedBy, bravePid);
+    assert.throws(() => profiles.lock('a'), locked);
+  });
+
+  it('holds the lock while SingletonLock names a live process', function() {
+    if (getPlatform() === 'win32') this.skip();
+    const {userDataDir} = profiles.create('a');
+    const bravePid = startSleeper();
+    fs.symlinkSync(`${hostname()}-${bravePid}`, path.join(userDataDir, 'SingletonLock'));
+    assert.throws(() => profiles.lock('a'), locked);
+
+    fs.unlinkSync(path.join(userDataDir, 'SingletonLock'));
+    fs.symlinkSync(`${hostname()}-${deadPid}`, path.join(userDataDir, 'SingletonLock'));
+    profiles.lock('a').release();
+  });
+
+  it('treats a lock from another host as held', () => {
+    profiles.create('a');
+    writeLock('a', `${deadPid}\nsome-other-host`);
+    assert.throws(() => profiles.lock('a'), locked);
+  });
+});
+
+describe('launch with a profile', function() {
+  this.timeout(20000);
+
+  let profilesRoot;
+
+  beforeEach(() => {
+    profilesRoot = makeTmpDir();
+  });
+
+  // Descriptors of this process open on `file`.
+  function openDescriptors(file) {
+    return fs.readdirSync('/proc/self/fd').filter(fd => {
+      try {
+        return fs.readlinkSync(`/proc/self/fd/${fd}`) === file;
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  it('locks the profile with the Brave pid and records the Brave version', async () => {
+    const brave = await launch(fakeBrave({}, {profile: 'p', profilesRoot}));
+    const profiles = new ProfileManager(profilesRoot);
+    try {
+      const lock = fs.readFileSync(path.join(profilesRoot, 'p', 'profile.lock'), 'utf-8').split('\n');
+      assert.deepStrictEqual(lock, [String(process.pid), hostname(), String(brave.pid)]);
+      assert.strictEqual(profiles.get('p').lastBraveVersion, '1.70.117');
+      await assert.rejects(launch(fakeBrave({}, {profile: 'p', profilesRoot})), locked);
+    } finally {
+      await brave.kill();
+    }
+    assert.strictEqual(profiles.get('p').locked, false);
+    assert.ok(fs.existsSync(profiles.userDataDir('p')));
+  });
+
+  it('closes the log files of a profile it does not own', async function() {
+    if (getPlatform() !== 'linux') this.skip();
+    const userDataDir = makeTmpDir();
+    for (const options of [{profile: 'p', profilesRoot}, {userDataDir}]) {
+      const brave = await launch(fakeBrave({}, options));
+      const dir = options.userDataDir || new ProfileManager(profilesRoot).userDataDir('p');
+      assert.strictEqual(openDescriptors(path.join(dir, 'brave-err.log')).length, 1);
+      await brave.kill();
+      assert.deepStrictEqual(openDescriptors(path.join(dir, 'brave-err.log')), []);
+      assert.deepStrictEqual(openDescriptors(path.join(dir, 'brave-out.log')), []);
+    }
+  });
+});
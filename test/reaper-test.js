@@ -0,0 +1,116 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {spawn, spawnSync} = require('child_process');
+const {reapOrphans, getPlatform} = require('../dist/index.js');
+const {FAKE_BRAVE, makeTmpDir, isAlive, waitFor} = require('./helpers.js');
+
+describe('reapOrphans', function() {
+  this.timeout(20000);
+
+  let tmpDir;
+  let children;
+  // The pid of a process that has exited.
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+  before(function() {
+    if (getPlatform() !== 'linux') this.skip();
+  });
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    children = [];
+  });
+
+  afterEach(() => {
+    for (const child of children) {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }
+  });
+
+  function makeProfile(name, pidFile) {
+    const userDataDir = path.join(tmpDir, name);
+    fs.mkdirSync(userDataDir);
+    if (pidFile !== undefined) {
+      fs.writeFileSync(path.join(userDataDir, 'brave.pid'), pidFile);
+    }
+    return userDataDir;
+  }
+
+  // Starts a detached process group like the launcher does, with `args`.
+  function startBrave(args) {
+    const child = spawn(FAKE_BRAVE, args, {detached: true, stdio: 'ignore'});
+    children.push(child);
+    return child;
+  }
+
+  it('kills the Brave of a dead launcher and removes its profile', async () => {
+    const userDataDir = makeProfile('lighthouse.orphan');
+    const brave = startBrave([`--user-data-dir=${userDataDir}`]);
+    await waitFor(() => fs.existsSync(path.join(userDataDir, 'DevToolsActivePort')));
+    fs.writeFileSync(path.join(userDataDir, 'brave.pid'), `${brave.pid}\n${deadPid}`);
+
+    const orphans = await reapOrphans({tmpDir});
+    assert.deepStrictEqual(
+        orphans, [{userDataDir, pid: brave.pid, ownerPid: deadPid, running: true, removed: true}]);
+    assert.ok(!isAlive(brave.pid));
+    assert.ok(!fs.existsSync(userDataDir));
+  });
+
+  it('leaves profiles of live launchers alone', async () => {
+    const userDataDir = makeProfile('lighthouse.owned', `${deadPid}\n${process.pid}`);
+    assert.deepStrictEqual(await reapOrphans({tmpDir}), []);
+    assert.ok(fs.existsSync(userDataDir));
+  });
+
+  it('keeps a profile without owner while its Brave runs', async () => {
+    const userDataDir = makeProfile('lighthouse.ownerless');
+    const brave = startBrave([`--user-data-dir=${userDataDir}`]);
+    fs.writeFileSync(path.join(userDataDir, 'brave.pid'), `${brave.pid}`);
+    assert.deepStrictEqual(await reapOrphans({tmpDir}), []);
+    assert.ok(isAlive(brave.pid));
+
+    const dead = makeProfile('lighthouse.ownerless-dead', `${deadPid}`);
+    assert.deepStrictEqual(
+        await reapOrphans({tmpDir}),
+        [{userDataDir: dead, pid: deadPid, ownerPid: null, running: false, removed: true}]);
+  });
+
+  it('does not kill a process that got the pid but runs another profile', async () => {
+    const userDataDir = makeProfile('lighthouse.reused');
+    const other = startBrave([`--user-data-dir=${userDataDir}-other`]);
+    fs.writeFileSync(path.join(userDataDir, 'brave.pid'), `${other.pid}\n${deadPid}`);
+
+    const orphans = await reapOrphans({tmpDir});
+    assert.strictEqual(orphans[0].running, false);
+    assert.strictEqual(orphans[0].removed, true);
+    assert.ok(isAlive(other.pid));
+  });
+
+  it('only reports in a dry run', async () => {
+    const userDataDir = makeProfile('lighthouse.dry');
+    const brave = startBrave([`--user-data-dir=${userDataDir}`]);
+    fs.writeFileSync(path.join(userDataDir, 'brave.pid'), `${brave.pid}\n${deadPid}`);
+
+    const orphans = await reapOrphans({tmpDir, dryRun: true});
+    assert.deepStrictEqual(orphans.map(({running, removed}) => ({running, removed})), [
+      {running: true, removed: false},
+    ]);
+    assert.ok(isAlive(brave.pid));
+    assert.ok(fs.existsSync(userDataDir));
+  });
+
+  it('skips directories that are not launcher profiles', async () => {
+    makeProfile('lighthouse.no-pid-file');
+    const foreign = makeProfile('other.profile', `${deadPid}\n${deadPid}`);
+    assert.deepStrictEqual(await reapOrphans({tmpDir}), []);
+    assert.ok(fs.existsSync(foreign));
+  });
+});
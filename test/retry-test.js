@@ -0,0 +1,77 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const {launch, ErrorCategory} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir} = require('./helpers.js');
+
+describe('retry', function() {
+  this.timeout(20000);
+
+  it('is off by default', async () => {
+    await assert.rejects(
+        launch(fakeBrave([{exit: 3}, {}])),
+        err => err.category === ErrorCategory.PROCESS_CRASHED && err.isRecoverable &&
+            !err.context.attempts);
+  });
+
+  it('relaunches with a fresh profile after a crash', async () => {
+    const runs = `${makeTmpDir()}/runs`;
+    const brave = await launch(fakeBrave(
+        [{exit: 3}, {}], {retry: {initialDelay: 10}, envVars: {FAKE_BRAVE_RUNS: runs}}));
+    try {
+      assert.strictEqual(fs.readFileSync(runs, 'utf8'), '2');
+      assert.strictEqual(brave.version.browser, 'Chrome/130.0.6723.70');
+    } finally {
+      await brave.kill();
+    }
+  });
+
+  it('gives up after `attempts` and reports every attempt', async () => {
+    const start = Date.now();
+    await assert.rejects(
+        launch(fakeBrave({exit: 3}, {retry: {attempts: 3, initialDelay: 100, backoffFactor: 2}})),
+        err => {
+          assert.strictEqual(err.category, ErrorCategory.PROCESS_CRASHED);
+          assert.strictEqual(err.isRecoverable, false);
+          assert.match(err.message, /after 3 attempts/);
+          assert.deepStrictEqual(err.context.attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+          return true;
+        });
+    // Waited 100ms and then 200ms between the attempts.
+    assert.ok(Date.now() - start >= 300);
+  });
+
+  it('moves to a free port when the requested one is taken', async () => {
+    // Some other browser, as far as /json/version goes.
+    const server = http.createServer((request, response) => response.end('{"Browser": "Chrome/130"}'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const taken = server.address().port;
+    try {
+      const brave = await launch(fakeBrave({}, {port: taken, retry: {initialDelay: 10}}));
+      assert.notStrictEqual(brave.port, taken);
+      await brave.kill();
+    } finally {
+      server.close();
+    }
+  });
+
+  it('only retries the given categories', async () => {
+    await assert.rejects(
+        launch(fakeBrave(
+            [{exit: 3}, {}], {retry: {initialDelay: 10, categories: [ErrorCategory.PORT_IN_USE]}})),
+        err => err.category === ErrorCategory.PROCESS_CRASHED && !err.context.attempts);
+  });
+
+  it('does not retry errors that are not recoverable', async () => {
+    await assert.rejects(
+        launch(fakeBrave({}, {strictFlags: true, braveFlags: ['--lang=en', '--lang=de'], retry: true})),
+        err => err.category === ErrorCategory.INVALID_FLAGS && !err.context.attempts);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {launch, killAll, BraveLauncher} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir, isAlive} = require('./helpers.js');
+
+describe('close', function() {
+  this.timeout(20000);
+
+  it('asks Brave to close over CDP and removes the temp profile', async () => {
+    const brave = await launch(fakeBrave());
+    const userDataDir = brave.commandLine.match(/--user-data-dir=(\S+)/)[1];
+    assert.ok(fs.existsSync(userDataDir));
+    const cleanup = new Promise(resolve => brave.once('cleanup', resolve));
+    const start = Date.now();
+    const result = await brave.close();
+    // SIGTERM would only have followed after the 5s timeout.
+    assert.ok(Date.now() - start < 5000);
+    assert.deepStrictEqual(result, {exitCode: 0, signal: null, tmpDirRemoved: true});
+    assert.deepStrictEqual(await cleanup, result);
+    assert.ok(!isAlive(brave.pid));
+    assert.ok(!fs.existsSync(userDataDir));
+  });
+
+  it('keeps a caller-supplied userDataDir', async () => {
+    const userDataDir = makeTmpDir();
+    const brave = await launch(fakeBrave({}, {userDataDir}));
+    const result = await brave.close();
+    assert.strictEqual(result.tmpDirRemoved, false);
+    assert.ok(fs.existsSync(path.join(userDataDir, 'fake-brave-closed')));
+  });
+
+  it('sends SIGTERM when Browser.close does not end Brave', async () => {
+    const userDataDir = makeTmpDir();
+    const brave = await launch(fakeBrave({ignoreClose: true}, {userDataDir}));
+    const start = Date.now();
+    const result = await brave.close({timeout: 300});
+    assert.ok(Date.now() - start >= 300);
+    assert.ok(fs.existsSync(path.join(userDataDir, 'fake-brave-closed')));
+    // The fixture exits with 0 on SIGTERM.
+    assert.deepStrictEqual(result, {exitCode: 0, signal: null, tmpDirRemoved: false});
+  });
+
+  it('sends SIGKILL when Brave ignores SIGTERM too', async () => {
+    const brave = await launch(fakeBrave({ignoreClose: true, ignoreTerm: true}));
+    const result = await brave.close({timeout: 200});
+    assert.deepStrictEqual(result, {exitCode: null, signal: 'SIGKILL', tmpDirRemoved: true});
+    assert.ok(!isAlive(brave.pid));
+  });
+});
+
+describe('kill', function() {
+  this.timeout(20000);
+
+  it('resolves once the process is gone and reports how it ended', async () => {
+    const brave = await launch(fakeBrave());
+    const result = await brave.kill();
+    assert.deepStrictEqual(result, {exitCode: null, signal: 'SIGKILL', tmpDirRemoved: true});
+    assert.ok(!isAlive(brave.pid));
+  });
+
+  it('reports the exit of a browser that already exited', async () => {
+    const brave = await launch(fakeBrave({crashAfter: 300}));
+    await new Promise(resolve => brave.process.once('exit', resolve));
+    assert.deepStrictEqual(await brave.kill(), {exitCode: 1, signal: null, tmpDirRemoved: true});
+  });
+
+  it('reports no process when nothing was launched', async () => {
+    const launcher = new BraveLauncher(fakeBrave());
+    assert.deepStrictEqual(await launcher.kill(), {exitCode: null, signal: null, tmpDirRemoved: false});
+  });
+
+  it('killAll() waits for every instance', async () => {
+    const braves = await Promise.all([launch(fakeBrave()), launch(fakeBrave())]);
+    assert.deepStrictEqual(await killAll(), []);
+    for (const brave of braves) {
+      assert.ok(!isAlive(brave.pid));
+    }
+  });
+});
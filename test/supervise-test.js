@@ -0,0 +1,76 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const {launch, getRandomPort, ErrorCategory} = require('../dist/index.js');
+const {fakeBrave, isAlive} = require('./helpers.js');
+
+describe('supervise', function() {
+  this.timeout(20000);
+
+  const next = (brave, event) => new Promise(resolve => brave.once(event, resolve));
+
+  it('restarts Brave after a crash on its fixed port', async () => {
+    const port = await getRandomPort();
+    const brave = await launch(
+        fakeBrave([{crashAfter: 100}, {}], {port, supervise: {initialDelay: 10}}));
+    const {pid} = brave;
+    const restarted = await next(brave, 'restarted');
+    try {
+      assert.strictEqual(restarted.previousPid, pid);
+      assert.strictEqual(restarted.restarts, 1);
+      assert.strictEqual(restarted.reason.exitCode, 1);
+      assert.strictEqual(brave.pid, restarted.pid);
+      assert.notStrictEqual(brave.pid, pid);
+      assert.strictEqual(brave.port, port);
+      const session = await brave.connect();
+      assert.strictEqual((await session.send('Browser.getVersion')).protocolVersion, '1.3');
+    } finally {
+      await brave.kill();
+    }
+    assert.ok(!isAlive(restarted.pid));
+  });
+
+  it('gives up after maxRestarts', async () => {
+    const brave = await launch(
+        fakeBrave([{crashAfter: 100}, {exit: 3}], {supervise: {initialDelay: 10, maxRestarts: 2}}));
+    const failed = await next(brave, 'restart-failed');
+    assert.strictEqual(failed.restarts, 2);
+    assert.strictEqual(failed.error.category, ErrorCategory.PROCESS_CRASHED);
+    await brave.kill();
+  });
+
+  it('does not restart without supervise', async () => {
+    const brave = await launch(fakeBrave([{crashAfter: 100}, {}]));
+    let restarted = false;
+    brave.on('restarted', () => restarted = true);
+    await next(brave, 'crash');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.ok(!restarted);
+    await brave.kill();
+  });
+
+  it('kill() cancels a pending restart', async () => {
+    const brave = await launch(fakeBrave([{crashAfter: 100}, {}], {supervise: {initialDelay: 10000}}));
+    await next(brave, 'crash');
+    const start = Date.now();
+    await brave.kill();
+    assert.ok(Date.now() - start < 2000);
+  });
+
+  it('kill() does not wait out the readiness of a restarted Brave', async () => {
+    const brave = await launch(
+        fakeBrave([{crashAfter: 100}, {delay: 60000}], {supervise: {initialDelay: 10}}));
+    const spawned = new Promise(resolve => brave.on('spawn', resolve));
+    await next(brave, 'crash');
+    const {pid} = await spawned;
+    const start = Date.now();
+    await brave.kill();
+    assert.ok(Date.now() - start < 2000);
+    assert.ok(!isAlive(pid));
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  VirtualDisplay, BraveLauncher, launch, killAll, acquireDisplay, ErrorCategory, getPlatform,
+} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir, useFakeBin, isAlive} = require('./helpers.js');
+
+const xvfbFailed = err => err.category === ErrorCategory.XVFB_FAILED;
+
+describe('VirtualDisplay', function() {
+  this.timeout(20000);
+
+  let restorePath;
+  let xvfbLog;
+  const displays = [];
+
+  before(function() {
+    if (getPlatform() !== 'linux') this.skip();
+    restorePath = useFakeBin();
+  });
+
+  after(() => {
+    if (restorePath) restorePath();
+    delete process.env.FAKE_XVFB_LOG;
+  });
+
+  beforeEach(() => {
+    xvfbLog = path.join(makeTmpDir(), 'xvfb.log');
+    process.env.FAKE_XVFB_LOG = xvfbLog;
+  });
+
+  afterEach(async () => {
+    await Promise.all(displays.splice(0).map(display => display.stop()));
+  });
+
+  function makeDisplay(options) {
+    const display = new VirtualDisplay(options);
+    displays.push(display);
+    return display;
+  }
+
+  // The pid and arguments of each Xvfb the fixture started.
+  function xvfbStarts() {
+    if (!fs.existsSync(xvfbLog)) return [];
+    return fs.readFileSync(xvfbLog, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  it('lets Xvfb pick a free display and stops it again', async () => {
+    const display = makeDisplay({width: 800, height: 600, screens: 2});
+    assert.strictEqual(display.getDisplay(), '');
+    await display.start();
+
+    const number = display.displayNumber;
+    assert.strictEqual(display.getDisplay(), `:${number}`);
+    assert.strictEqual(display.getDisplay(1), `:${number}.1`);
+    assert.ok(fs.existsSync(`/tmp/.X${number}-lock`));
+    const [{pid, args}] = xvfbStarts();
+    assert.deepStrictEqual(args.slice(0, 6), ['-displayfd', '3', '-screen', '0', '800x600x24', '-screen']);
+
+    await display.stop();
+    assert.ok(!display.running);
+    assert.ok(!isAlive(pid));
+    assert.ok(!fs.existsSync(`/tmp/.X${number}-lock`));
+  });
+
+  it('gives concurrent displays different numbers', async () => {
+    const first = makeDisplay();
+    const second = makeDisplay();
+    await Promise.all([first.start(), second.start()]);
+    assert.notStrictEqual(first.displayNumber, second.displayNumber);
+    assert.strictEqual(xvfbStarts().length, 2);
+  });
+
+  it('refuses a requested display in use unless reuse is set', async () => {
+    const taken = makeDisplay();
+    await taken.start();
+
+    await assert.rejects(makeDisplay({display: taken.getDisplay()}).start(), xvfbFailed);
+    const reused = makeDisplay({display: taken.displayNumber, reuse: true});
+    await reused.start();
+    assert.strictEqual(reused.getDisplay(), taken.getDisplay());
+    assert.ok(!reused.running);
+    assert.strictEqual(xvfbStarts().length, 1);
+
+    // Stopping the reused display leaves the server alone.
+    await reused.stop();
+    assert.ok(taken.running);
+  });
+
+  it('starts on a requested free display', async () => {
+    const probe = makeDisplay();
+    await probe.start();
+    const number = probe.displayNumber;
+    await probe.stop();
+
+    const display = makeDisplay({display: `:${number}`});
+    await display.start();
+    assert.strictEqual(display.displayNumber, number);
+    assert.strictEqual(xvfbStarts()[1].args[0], `:${number}`);
+  });
+
+  it('reports a missing Xvfb as not recoverable', async () => {
+    const {PATH} = process.env;
+    process.env.PATH = makeTmpDir();
+    try {
+      await assert.rejects(makeDisplay().start(), err => {
+        return err.name === 'XvfbNotFoundError' && xvfbFailed(err) && !err.isRecoverable;
+      });
+    } finally {
+      process.env.PATH = PATH;
+    }
+  });
+
+  it('leaves process.env alone and hands out DISPLAY through env()', async () => {
+    const {DISPLAY} = process.env;
+    const display = makeDisplay();
+    await display.start();
+    assert.strictEqual(process.env.DISPLAY, DISPLAY);
+
+    const base = {DISPLAY: ':0', WAYLAND_DISPLAY: 'wayland-0', HOME: '/home/brave'};
+    assert.deepStrictEqual(display.env(base), {DISPLAY: display.getDisplay(), HOME: '/home/brave'});
+    assert.strictEqual(display.env(base, 1).DISPLAY, display.getDisplay(1));
+    assert.strictEqual(base.DISPLAY, ':0');
+  });
+
+  it('gives overlapping launches their own DISPLAY', async () => {
+    const {DISPLAY} = process.env;
+    const dirs = [makeTmpDir(), makeTmpDir()];
+    const braves = await Promise.all(dirs.map(userDataDir => launch(fakeBrave({}, {
+      userDataDir,
+      launchMode: 'xvfb-gui',
+      envVars: {DISPLAY: ':0', WAYLAND_DISPLAY: 'wayland-0'},
+    }))));
+    const names = braves.map(brave => brave.xvfbManager.getDisplay());
+    await Promise.all(braves.map(brave => brave.kill()));
+
+    assert.notStrictEqual(names[0], names[1]);
+    assert.strictEqual(process.env.DISPLAY, DISPLAY);
+    dirs.forEach((userDataDir, i) => {
+      const {env} = JSON.parse(fs.readFileSync(path.join(userDataDir, 'fake-brave.json'), 'utf-8'));
+      assert.deepStrictEqual(env, {DISPLAY: names[i]});
+    });
+  });
+
+  it('rejects a malformed display', () => {
+    assert.throws(() => new VirtualDisplay({display: 'x'}), err => err.category === ErrorCategory.INVALID_CONFIG);
+  });
+});
+
+describe('shared Xvfb', function() {
+  this.timeout(20000);
+
+  let restorePath;
+  let xvfbLog;
+
+  before(function() {
+    if (getPlatform() !== 'linux') this.skip();
+    restorePath = useFakeBin();
+  });
+
+  after(() => {
+    if (restorePath) restorePath();
+    delete process.env.FAKE_XVFB_LOG;
+  });
+
+  beforeEach(() => {
+    xvfbLog = path.join(makeTmpDir(), 'xvfb.log');
+    process.env.FAKE_XVFB_LOG = xvfbLog;
+  });
+
+  function xvfbPids() {
+    if (!fs.existsSync(xvfbLog)) return [];
+    return fs.readFileSync(xvfbLog, 'utf-8').trim().split('\n').map(line => JSON.parse(line).pid);
+  }
+
+  it('starts one server for all leases and stops it with the last release', async () => {
+    const options = {shared: true, screens: 2};
+    const leases = await Promise.all([acquireDisplay(options), acquireDisplay(options)]);
+    const third = await acquireDisplay(options);
+    const [pid] = xvfbPids();
+    assert.strictEqual(xvfbPids().length, 1);
+
+    const display = leases[0].display.getDisplay();
+    assert.deepStrictEqual(
+        [...leases, third].map(lease => lease.name), [display, `${display}.1`, display]);
+    assert.strictEqual(third.env({}).DISPLAY, display);
+
+    await leases[0].release();
+    await leases[0].release();
+    await third.release();
+    assert.ok(isAlive(pid));
+    await leases[1].release();
+    assert.ok(!isAlive(pid));
+
+    // The next lease starts a new server.
+    const next = await acquireDisplay(options);
+    assert.strictEqual(xvfbPids().length, 2);
+    await next.release();
+  });
+
+  it('keeps servers with other options apart and honors screen', async () => {
+    const first = await acquireDisplay({shared: true, screens: 2, screen: 1});
+    const second = await acquireDisplay({shared: true, screens: 2, screen: 1});
+    const other = await acquireDisplay({shared: true});
+    assert.strictEqual(first.name, second.name);
+    assert.match(first.name, /\.1$/);
+    assert.notStrictEqual(other.display, first.display);
+    assert.strictEqual(xvfbPids().length, 2);
+    await Promise.all([first, second, other].map(lease => lease.release()));
+
+    await assert.rejects(
+        acquireDisplay({shared: true, screens: 2, screen: 2}), err => err.category === ErrorCategory.INVALID_CONFIG);
+  });
+
+  it('shares one server across launches until the last is killed', async () => {
+    const options = {launchMode: 'xvfb-gui', xvfbOptions: {shared: true}};
+    const [first, second] = await Promise.all([launch(fakeBrave({}, options)), launch(fakeBrave({}, options))]);
+    const [pid] = xvfbPids();
+    assert.strictEqual(xvfbPids().length, 1);
+    assert.strictEqual(first.xvfbManager, second.xvfbManager);
+
+    await first.kill();
+    assert.ok(isAlive(pid));
+    await second.kill();
+    assert.ok(!isAlive(pid));
+  });
+
+  it('stops shared servers in killAll()', async () => {
+    const brave = await launch(fakeBrave({}, {launchMode: 'xvfb-gui', xvfbOptions: {shared: true}}));
+    const [pid] = xvfbPids();
+    assert.deepStrictEqual(await killAll(), []);
+    assert.ok(!isAlive(brave.pid));
+    assert.ok(!isAlive(pid));
+  });
+
+  it('places the window only on a virtual display', () => {
+    const window = {x: 960, y: 0, width: 960, height: 1080};
+    const flags = launchMode => new BraveLauncher(fakeBrave({}, {launchMode, xvfbOptions: {window}})).flags;
+    assert.ok(flags('xvfb-gui').includes('--window-position=960,0'));
+    assert.ok(flags('xvfb-gui').includes('--window-size=960,1080'));
+    for (const launchMode of ['headless', 'gui']) {
+      assert.ok(!flags(launchMode).some(flag => /^--window-(position|size)=/.test(flag)), launchMode);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @license Copyright 2024 Brave Real Launcher Contributors.
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in compliance with the License. You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the License for the specific language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const {
+  WaylandDisplay, BraveLauncher, launch, detectDisplayServers, ozoneFlags, waylandSocketPath, ErrorCategory,
+  getPlatform,
+} = require('../dist/index.js');
+const {fakeBrave, makeTmpDir, useFakeBin, isAlive} = require('./helpers.js');
+
+const waylandFailed = err => err.category === ErrorCategory.WAYLAND_FAILED;
+
+// A listening Unix socket standing in for a compositor's.
+function listen(socket) {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(socket, () => resolve(server));
+  });
+}
+
+describe('Wayland display detection', function() {
+  let runtimeDir;
+  let server;
+
+  before(async function() {
+    if (getPlatform() === 'win32') this.skip();
+    runtimeDir = makeTmpDir();
+    server = await listen(path.join(runtimeDir, 'wayland-1'));
+  });
+
+  after(() => {
+    if (server) server.close();
+  });
+
+  it('finds the socket WAYLAND_DISPLAY names', () => {
+    assert.strictEqual(waylandSocketPath({WAYLAND_DISPLAY: 'wayland-1', XDG_RUNTIME_DIR: runtimeDir}),
+        path.join(runtimeDir, 'wayland-1'));
+    assert.strictEqual(waylandSocketPath({WAYLAND_DISPLAY: '/run/w'}), '/run/w');
+    assert.strictEqual(waylandSocketPath({WAYLAND_DISPLAY: 'wayland-1'}), null);
+    assert.strictEqual(waylandSocketPath({}), null);
+  });
+
+  it('only counts a live socket as Wayland', () => {
+    const env = {WAYLAND_DISPLAY: 'wayland-1', XDG_RUNTIME_DIR: runtimeDir, DISPLAY: ':0'};
+    assert.deepStrictEqual(detectDisplayServers(env), {wayland: path.join(runtimeDir, 'wayland-1'), x11: ':0'});
+    assert.deepStrictEqual(
+        detectDisplayServers({...env, WAYLAND_DISPLAY: 'wayland-2'}), {wayland: null, x11: ':0'});
+  });
+
+  it('picks the ozone flags for the servers', () => {
+    assert.deepStrictEqual(ozoneFlags({wayland: '/run/w', x11: null}), ['--ozone-platform=wayland']);
+    assert.deepStrictEqual(ozoneFlags({wayland: '/run/w', x11: ':0'}), ['--ozone-platform-hint=auto']);
+    assert.deepStrictEqual(ozoneFlags({wayland: null, x11: ':0'}), []);
+  });
+
+  it('passes them in gui mode on Linux', function() {
+    if (getPlatform() !== 'linux') this.skip();
+    const flags = envVars => new BraveLauncher(fakeBrave({}, {launchMode: 'gui', envVars})).flags;
+    const wayland = {WAYLAND_DISPLAY: 'wayland-1', XDG_RUNTIME_DIR: runtimeDir, DISPLAY: undefined};
+    assert.ok(flags(wayland).includes('--ozone-platform=wayland'));
+    assert.ok(flags({...wayland, DISPLAY: ':0'}).includes('--ozone-platform-hint=auto'));
+    assert.ok(!flags({WAYLAND_DISPLAY: undefined, DISPLAY: ':0'}).some(flag => flag.startsWith('--ozone')));
+  });
+});
+
+describe('WaylandDisplay', function() {
+  this.timeout(20000);
+
+  let restorePath;
+  let westonLog;
+  const displays = [];
+
+  before(function() {
+    if (getPlatform() !== 'linux') this.skip();
+    restorePath = useFakeBin();
+  });
+
+  after(() => {
+    if (restorePath) restorePath();
+    delete process.env.FAKE_WESTON_LOG;
+  });
+
+  beforeEach(() => {
+    westonLog = path.join(makeTmpDir(), 'weston.log');
+    process.env.FAKE_WESTON_LOG = westonLog;
+  });
+
+  afterEach(async () => {
+    await Promise.all(displays.splice(0).map(display => display.stop()));
+  });
+
+  function makeDisplay(options) {
+    const display = new WaylandDisplay(options);
+    displays.push(display);
+    return display;
+  }
+
+  // The pid, arguments and display variables of each weston the fixture started.
+  function westonStarts() {
+    if (!fs.existsSync(westonLog)) return [];
+    return fs.readFileSync(westonLog, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  it('runs weston headless in a private runtime dir and stops it', async () => {
+    const display = makeDisplay({width: 800, height: 600});
+    await display.start();
+    const socket = display.getDisplay();
+    assert.strictEqual(path.basename(socket), 'wayland-0');
+    assert.strictEqual(fs.statSync(path.dirname(socket)).mode & 0o777, 0o700);
+
+    const [{pid, args, env}] = westonStarts();
+    assert.deepStrictEqual(args.slice(0, 4), ['--backend=headless', '--socket=wayland-0', '--width=800', '--height=600']);
+    assert.deepStrictEqual(env, {XDG_RUNTIME_DIR: path.dirname(socket)});
+    assert.deepStrictEqual(
+        display.env({DISPLAY: ':0', HOME: '/home/brave'}), {WAYLAND_DISPLAY: socket, HOME: '/home/brave'});
+
+    await display.stop();
+    assert.ok(!display.running);
+    assert.ok(!isAlive(pid));
+    assert.ok(!fs.existsSync(path.dirname(socket)));
+  });
+
+  it('refuses a taken socket unless reuse is set', async () => {
+    const socket = path.join(makeTmpDir(), 'wayland-5');
+    const server = await listen(socket);
+    try {
+      await assert.rejects(makeDisplay({socket}).start(), err => waylandFailed(err) && err.isRecoverable);
+      const reused = makeDisplay({socket, reuse: true});
+      await reused.start();
+      assert.strictEqual(reused.getDisplay(), socket);
+      assert.ok(!reused.running);
+      assert.deepStrictEqual(westonStarts(), []);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('reports a missing compositor as not recoverable', async () => {
+    const notInstalled = err => waylandFailed(err) && !err.isRecoverable && /is not installed/.test(err.message);
+    await assert.rejects(makeDisplay({compositor: 'cage'}).start(), notInstalled);
+
+    const {PATH} = process.env;
+    process.env.PATH = makeTmpDir();
+    try {
+      await assert.rejects(makeDisplay().start(), notInstalled);
+      // Retrying could not install one.
+      await assert.rejects(
+          launch(fakeBrave({}, {launchMode: 'wayland-gui', retry: {attempts: 3, initialDelay: 10}})), notInstalled);
+    } finally {
+      process.env.PATH = PATH;
+    }
+  });
+
+  it('runs Brave in wayland-gui mode on its own compositor', async () => {
+    const userDataDir = makeTmpDir();
+    const launcher = new BraveLauncher(
+        fakeBrave({}, {launchMode: 'wayland-gui', userDataDir, envVars: {DISPLAY: ':0'}}));
+    const started = new Promise(resolve => launcher.once('wayland-started', resolve));
+    await launcher.launch();
+    const {display} = await started;
+    await launcher.kill();
+
+    const {args, env} = JSON.parse(fs.readFileSync(path.join(userDataDir, 'fake-brave.json'), 'utf-8'));
+    assert.ok(args.includes('--ozone-platform=wayland'));
+    assert.ok(!args.some(arg => arg.startsWith('--headless')));
+    assert.deepStrictEqual(env, {WAYLAND_DISPLAY: display});
+    const [{pid}] = westonStarts();
+    assert.ok(!isAlive(pid));
+    assert.ok(!fs.existsSync(display));
+  });
+});